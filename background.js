@@ -0,0 +1,308 @@
+// Google Slides Current Slide URL Copier - Background Service Worker
+// Relays keyboard shortcuts (manifest "commands") and popup actions to the
+// content script, keeps the history of copied links shown in the toolbar popup,
+// calls the configured link shortener, posts slides to send destinations and
+// answers public API requests from other extensions
+
+importScripts('i18n.js', 'settings.js', 'shorteners.js', 'destinations.js', 'public-api.js');
+
+const DEBUG = false;
+const PRODUCTION = true; // Set to true before uploading to Chrome Store
+
+// Production-aware logging, as in content.js: only errors are logged in production
+const log = (...args) => {
+  if (PRODUCTION) {
+    if (args.join(' ').includes('❌')) {
+      console.log('[SlideURLCopier]', ...args);
+    }
+  } else if (DEBUG) {
+    console.log('[SlideURLCopier]', ...args);
+  }
+};
+
+// History writes are chained so concurrent records don't overwrite each other
+let historyQueue = Promise.resolve();
+
+/**
+ * Forward a keyboard shortcut to the Slides tab it was pressed in
+ */
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab || tab.id === undefined) {
+    return;
+  }
+  
+  runSlideActionInTab(tab, { type: 'RUN_SLIDE_COMMAND', command: command })
+    .catch(error => {
+      // No content script in this tab - the shortcut was pressed outside Google Slides
+      log('Shortcut ignored:', command, error.message);
+    });
+});
+
+/**
+ * Run a slide option chosen in the toolbar popup
+ * The popup closes right away, so the work happens here rather than in the popup
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== 'RUN_SLIDE_OPTION_IN_TAB') {
+    return false;
+  }
+  
+  chrome.tabs.get(message.tabId)
+    .then(tab => runSlideActionInTab(tab, { type: 'RUN_SLIDE_OPTION', optionId: message.optionId }))
+    .then(() => sendResponse({ ok: true }))
+    .catch(error => {
+      log('❌ Popup action failed:', message.optionId, error.message);
+      sendResponse({ error: error.message });
+    });
+  
+  return true; // Keep the channel open for the async response
+});
+
+/**
+ * Ask the content script in a tab's main frame to run a slide action
+ */
+async function runSlideActionInTab(tab, message) {
+  // Only the main frame knows the current slide
+  const response = await chrome.tabs.sendMessage(tab.id, message, { frameId: 0 });
+  
+  // Exports need a new tab, which the page cannot open without a click
+  if (response && response.openUrl) {
+    await chrome.tabs.create({
+      url: response.openUrl,
+      index: tab.index + 1,
+      openerTabId: tab.id
+    });
+  }
+  
+  return response;
+}
+
+/**
+ * Shorten a slide link for the content script
+ * Runs here because only the extension holds the endpoint's host permission
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== 'SHORTEN_URL') {
+    return false;
+  }
+  
+  SlideUrlCopierSettings.load()
+    .then(settings => SlideUrlCopierShorteners.shorten(message.url, settings.shortener))
+    .then(shortUrl => sendResponse({ shortUrl }))
+    .catch(error => {
+      log('❌ Shortening failed:', error.message);
+      sendResponse({ error: error.message });
+    });
+  
+  return true; // Keep the channel open for the async response
+});
+
+/**
+ * Send a slide to one of the configured destinations
+ * The content script only passes the destination id, so webhook URLs stay in the extension
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== 'SEND_TO_DESTINATION') {
+    return false;
+  }
+  
+  SlideUrlCopierSettings.load()
+    .then(settings => {
+      const destination = settings.destinations.find(candidate => candidate.id === message.destinationId);
+      if (!destination) {
+        throw new Error('Unknown destination');
+      }
+      return SlideUrlCopierDestinations.send(destination, message.payload);
+    })
+    .then(result => sendResponse(result))
+    .catch(error => {
+      log('❌ Sending failed:', error.message);
+      sendResponse({ error: error.message });
+    });
+  
+  return true; // Keep the channel open for the async response
+});
+
+/**
+ * Open the options page from the page's dialogs, which cannot call openOptionsPage themselves
+ */
+chrome.runtime.onMessage.addListener((message) => {
+  if (!message || message.type !== 'OPEN_OPTIONS_PAGE') {
+    return false;
+  }
+  
+  chrome.runtime.openOptionsPage();
+  return false;
+});
+
+/**
+ * Answer public API requests from allow-listed extensions (protocol in public-api.js)
+ * getCurrentSlide and buildUrl run in the Slides tab; subscriptions need a port, see below
+ */
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  if (!SlideUrlCopierApi.isRequest(message)) {
+    return false;
+  }
+  
+  handleExternalApiRequest(message, sender).then(sendResponse);
+  return true; // Keep the channel open for the async response
+});
+
+/**
+ * Slide-change subscriptions for allow-listed extensions, over a port named SlideUrlCopierApi.PORT_NAME
+ * Each subscription is a port to the Slides tab whose messages are forwarded as "slideChanged" events
+ */
+chrome.runtime.onConnectExternal.addListener((port) => {
+  if (port.name !== SlideUrlCopierApi.PORT_NAME) {
+    return;
+  }
+  
+  const tabPorts = new Map();
+  const postToCaller = (message) => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      // The caller disconnected while a request was running
+    }
+  };
+  
+  const subscriptions = {
+    async add(tabId) {
+      const subscriptionId = crypto.randomUUID();
+      const tabPort = chrome.tabs.connect(await resolveApiTabId(tabId), { name: SlideUrlCopierApi.PORT_NAME, frameId: 0 });
+      tabPorts.set(subscriptionId, tabPort);
+      
+      tabPort.onMessage.addListener(slide => {
+        postToCaller(SlideUrlCopierApi.createEvent('slideChanged', subscriptionId, slide));
+      });
+      // The tab was closed or reloaded, or has no presentation
+      tabPort.onDisconnect.addListener(() => {
+        if (tabPorts.delete(subscriptionId)) {
+          postToCaller(SlideUrlCopierApi.createEvent('subscriptionEnded', subscriptionId));
+        }
+      });
+      
+      return { subscriptionId };
+    },
+    remove(subscriptionId) {
+      const tabPort = tabPorts.get(subscriptionId);
+      if (tabPort) {
+        tabPorts.delete(subscriptionId);
+        tabPort.disconnect();
+      }
+      return { removed: Boolean(tabPort) };
+    }
+  };
+  
+  port.onMessage.addListener((message) => {
+    if (SlideUrlCopierApi.isRequest(message)) {
+      handleExternalApiRequest(message, port.sender, subscriptions).then(postToCaller);
+    }
+  });
+  
+  port.onDisconnect.addListener(() => {
+    tabPorts.forEach(tabPort => tabPort.disconnect());
+    tabPorts.clear();
+  });
+});
+
+/**
+ * Check the calling extension, validate its request and run it
+ * Always resolves to a response, with an error code if the request failed
+ */
+async function handleExternalApiRequest(message, sender, subscriptions = null) {
+  const { ApiError, ERRORS } = SlideUrlCopierApi;
+  
+  try {
+    const settings = await SlideUrlCopierSettings.load();
+    if (!SlideUrlCopierApi.isAllowedExtension(settings, sender.id)) {
+      throw new ApiError(ERRORS.NOT_ALLOWED, `Extension ${sender.id} is not on the allow-list`);
+    }
+    
+    const { method, params } = SlideUrlCopierApi.parseRequest(message);
+    
+    if (method === 'subscribe' || method === 'unsubscribe') {
+      if (!subscriptions) {
+        throw new ApiError(ERRORS.UNKNOWN_METHOD, `${method} needs a port named "${SlideUrlCopierApi.PORT_NAME}"`);
+      }
+      const result = method === 'subscribe'
+        ? await subscriptions.add(params.tabId)
+        : subscriptions.remove(params.subscriptionId);
+      return SlideUrlCopierApi.createResponse(message.id, result);
+    }
+    
+    // Only the main frame knows the current slide
+    const tabId = await resolveApiTabId(params.tabId);
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'API_REQUEST', request: message }, { frameId: 0 })
+      .catch(() => null);
+    if (!response) {
+      throw new ApiError(ERRORS.NO_PRESENTATION, 'No Google Slides presentation in that tab');
+    }
+    return response;
+  } catch (error) {
+    log('❌ API request failed:', sender.id, error.message);
+    return SlideUrlCopierApi.createErrorResponse(message.id, error);
+  }
+}
+
+/**
+ * Tab an API request is for: the given tab, or the active tab of the last focused window
+ */
+async function resolveApiTabId(tabId) {
+  if (tabId !== null) {
+    return tabId;
+  }
+  
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab) {
+    throw new SlideUrlCopierApi.ApiError(SlideUrlCopierApi.ERRORS.NO_PRESENTATION, 'No active tab');
+  }
+  return tab.id;
+}
+
+/**
+ * Store history records sent by the content script
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== 'RECORD_HISTORY') {
+    return false;
+  }
+  
+  historyQueue = historyQueue
+    .then(() => addHistoryEntry(message.entry))
+    .then(() => sendResponse({ ok: true }))
+    .catch(error => sendResponse({ error: error.message }));
+  
+  return true; // Keep the channel open for the async response
+});
+
+/**
+ * Add an entry to the front of the history, trimmed to the configured size
+ */
+async function addHistoryEntry(entry) {
+  if (!entry || typeof entry.url !== 'string' || !entry.url.startsWith('https://docs.google.com/')) {
+    throw new Error('Invalid history entry');
+  }
+  
+  const settings = await SlideUrlCopierSettings.load();
+  const key = SlideUrlCopierSettings.HISTORY_STORAGE_KEY;
+  const stored = await chrome.storage.local.get({ [key]: [] });
+  const timestamp = Number(entry.timestamp) || Date.now();
+  
+  const history = [
+    {
+      id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+      url: entry.url,
+      kind: String(entry.kind || 'link'),
+      mode: entry.mode || null,
+      exportFormat: entry.exportFormat || null,
+      presentationTitle: String(entry.presentationTitle || ''),
+      slideTitle: String(entry.slideTitle || ''),
+      slideNumber: Number.isInteger(entry.slideNumber) ? entry.slideNumber : null,
+      timestamp
+    },
+    ...stored[key]
+  ].slice(0, settings.historyLimit);
+  
+  await chrome.storage.local.set({ [key]: history });
+}
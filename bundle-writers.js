@@ -0,0 +1,172 @@
+// Google Slides Current Slide URL Copier - Bundle Writers
+// Minimal ZIP and PDF writers for multi-slide exports, no external libraries
+
+const SlideBundleWriters = (() => {
+  const encoder = new TextEncoder();
+
+  // CRC-32 lookup table (IEEE polynomial), required by the ZIP format
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * Compute the CRC-32 checksum of a byte array
+   */
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Convert a Date to MS-DOS time and date fields
+   */
+  function toDosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Create an uncompressed ZIP archive
+   * @param {Array<{name: string, data: Uint8Array}>} files
+   * @returns {Blob}
+   */
+  function createZip(files) {
+    const parts = [];
+    const centralDirectory = [];
+    const { time, date } = toDosDateTime(new Date());
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const checksum = crc32(file.data);
+      const size = file.data.length;
+
+      const localHeader = new DataView(new ArrayBuffer(30));
+      localHeader.setUint32(0, 0x04034B50, true); // Local file header signature
+      localHeader.setUint16(4, 20, true); // Version needed to extract
+      localHeader.setUint16(6, 0x0800, true); // UTF-8 file names
+      localHeader.setUint16(8, 0, true); // Stored (no compression)
+      localHeader.setUint16(10, time, true);
+      localHeader.setUint16(12, date, true);
+      localHeader.setUint32(14, checksum, true);
+      localHeader.setUint32(18, size, true);
+      localHeader.setUint32(22, size, true);
+      localHeader.setUint16(26, name.length, true);
+      localHeader.setUint16(28, 0, true);
+
+      const centralHeader = new DataView(new ArrayBuffer(46));
+      centralHeader.setUint32(0, 0x02014B50, true); // Central directory signature
+      centralHeader.setUint16(4, 20, true); // Version made by
+      centralHeader.setUint16(6, 20, true); // Version needed to extract
+      centralHeader.setUint16(8, 0x0800, true);
+      centralHeader.setUint16(10, 0, true);
+      centralHeader.setUint16(12, time, true);
+      centralHeader.setUint16(14, date, true);
+      centralHeader.setUint32(16, checksum, true);
+      centralHeader.setUint32(20, size, true);
+      centralHeader.setUint32(24, size, true);
+      centralHeader.setUint16(28, name.length, true);
+      centralHeader.setUint32(42, offset, true); // Offset of local header
+
+      parts.push(localHeader, name, file.data);
+      centralDirectory.push(centralHeader, name);
+      offset += 30 + name.length + size;
+    }
+
+    const centralDirectorySize = centralDirectory.reduce((total, part) => total + part.byteLength, 0);
+
+    const endRecord = new DataView(new ArrayBuffer(22));
+    endRecord.setUint32(0, 0x06054B50, true); // End of central directory signature
+    endRecord.setUint16(8, files.length, true);
+    endRecord.setUint16(10, files.length, true);
+    endRecord.setUint32(12, centralDirectorySize, true);
+    endRecord.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, endRecord], { type: 'application/zip' });
+  }
+
+  /**
+   * Create a PDF with one page per JPEG image
+   * JPEG data is embedded as-is (DCTDecode), so no re-encoding is needed
+   * @param {Array<{data: Uint8Array, width: number, height: number}>} images - width/height in pixels
+   * @returns {Blob}
+   */
+  function createPdfFromJpegs(images) {
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (chunk) => {
+      const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+      parts.push(bytes);
+      length += bytes.length;
+    };
+
+    const beginObject = (number) => {
+      offsets[number] = length;
+      write(`${number} 0 obj\n`);
+    };
+
+    // Object numbers: 1 catalog, 2 page tree, then page/content/image triples
+    const pageObjectNumbers = images.map((image, index) => 3 + index * 3);
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+    beginObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+    beginObject(2);
+    write(`<< /Type /Pages /Kids [${pageObjectNumbers.map(number => `${number} 0 R`).join(' ')}] /Count ${images.length} >>\nendobj\n`);
+
+    images.forEach((image, index) => {
+      const pageNumber = pageObjectNumbers[index];
+      const contentNumber = pageNumber + 1;
+      const imageNumber = pageNumber + 2;
+
+      // 96 dpi pixels to 72 dpi points
+      const width = Math.round(image.width * 0.75);
+      const height = Math.round(image.height * 0.75);
+      const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q\n`;
+
+      beginObject(pageNumber);
+      write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im0 ${imageNumber} 0 R >> >> /Contents ${contentNumber} 0 R >>\nendobj\n`);
+
+      beginObject(contentNumber);
+      write(`<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`);
+
+      beginObject(imageNumber);
+      write(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`);
+      write(image.data);
+      write('\nendstream\nendobj\n');
+    });
+
+    const objectCount = 2 + images.length * 3;
+    const xrefOffset = length;
+
+    write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+    for (let number = 1; number <= objectCount; number++) {
+      write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+  }
+
+  return {
+    createZip,
+    createPdfFromJpegs
+  };
+})();
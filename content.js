@@ -38,6 +38,118 @@
   // URL generation - edit mode only
   const URL_MODE = 'EDIT';
   
+  // Quick Actions slide options, defined in settings.js
+  const SLIDE_OPTIONS = SlideUrlCopierSettings.SLIDE_OPTIONS;
+  
+  // Localized strings from _locales, see i18n.js
+  const t = SlideUrlCopierI18n.getMessage;
+  
+  // Error whose message is safe to show to the user in the tooltip
+  class SlideActionError extends Error {
+    constructor(message, cause = null) {
+      super(message);
+      this.name = 'SlideActionError';
+      this.cause = cause;
+    }
+  }
+  
+  // Last-used choices of the "Copy link with options" dialog
+  const LINK_OPTIONS_DEFAULTS = {
+    mode: 'PRESENT',
+    start: true,
+    loop: false,
+    delayms: 3000
+  };
+  
+  // Last-used choices of the embed code dialog
+  const EMBED_OPTIONS_DEFAULTS = {
+    width: 960,
+    height: 569,
+    start: false,
+    loop: false,
+    delayms: 3000
+  };
+  
+  // Last-used choices of the "Send current slide to…" dialog
+  const SEND_OPTIONS_DEFAULTS = {
+    destinationId: '',
+    mode: 'PRESENT',
+    includeThumbnail: false
+  };
+  
+  // Last-used choices of the follow along dialog
+  const FOLLOW_ALONG_DEFAULTS = {
+    target: 'widget',
+    mode: 'PRESENT'
+  };
+  
+  // Last-used choices of the deck outline dialog
+  const OUTLINE_OPTIONS_DEFAULTS = {
+    mode: 'PRESENT',
+    format: 'markdown',
+    skipSkipped: true,
+    numbered: false
+  };
+  
+  // Link types offered by the send, follow along and outline dialogs
+  const LINK_MODE_CHOICES = [
+    { value: 'PRESENT', text: t('modePresent') },
+    { value: 'EDIT', text: t('modeEdit') },
+    { value: 'DEMO', text: t('modeDemo') },
+    { value: 'MOBILE', text: t('modeMobile') }
+  ];
+  
+  // Width of the slide image attached to sent messages, small enough for chat webhooks
+  const SEND_THUMBNAIL_WIDTH = 480;
+  
+  // Embed player sizes offered by Slides' "Publish to the web"
+  const EMBED_SIZES = [
+    { name: t('embedSizeSmall'), width: 480, height: 299 },
+    { name: t('embedSizeMedium'), width: 960, height: 569 },
+    { name: t('embedSizeLarge'), width: 1440, height: 839 }
+  ];
+  
+  // Public API subscriptions kept per page-script window, oldest dropped first
+  // A page that reloads or navigates can't unsubscribe the subscriptions it made before
+  const MAX_WINDOW_SUBSCRIPTIONS = 10;
+  
+  // Dialogs opened by slide options with a `dialog` key
+  const SLIDE_DIALOGS = {
+    'export': () => openExportDialog(),
+    'link-options': () => openLinkOptionsDialog(),
+    'embed': () => openEmbedDialog(),
+    'send': (slideId) => openSendDialog(slideId),
+    'follow-along': () => openFollowAlongDialog(),
+    'outline': () => openOutlineDialog()
+  };
+  
+  // Internal events, see emitSlideEvent:
+  // 'presentation-opened' { presentationId, previousPresentationId, viewType }
+  // 'slide-changed' { slideId, previousSlideId }
+  // 'menu-opened' { menu: 'quick-actions' | 'slide-menu' | 'slide-actions', slideId }
+  const SLIDE_EVENTS = ['presentation-opened', 'slide-changed', 'menu-opened'];
+  
+  // Views without the editor UI, where a floating control is shown instead
+  const VIEWER_VIEW_TYPES = ['present', 'preview', 'embed', 'published'];
+  
+  // Link modes available for published (/d/e/2PACX-...) presentations
+  const PUBLISHED_MODES = ['PUBLISHED', 'EMBED'];
+  
+  // Options offered in published views, where edit links and exports don't exist
+  const PUBLISHED_VIEW_OPTIONS = [
+    { id: 'published-slide-link', text: t('optionCopyPublishedLink'), mode: 'PUBLISHED' },
+    { id: 'published-slide-embed-link', text: t('optionCopyPublishedEmbedLink'), mode: 'EMBED' }
+  ];
+  
+  // Selectors for Google's UI live in selectors.js, which records which ones still match
+  const selectors = SlideUrlCopierSelectors;
+  
+  // Reading slide IDs from URLs and building slide links, see slide-links.js
+  const links = SlideUrlCopierLinks;
+  
+  // Attribute marking menu items injected by this extension
+  const INJECTED_OPTION_ATTRIBUTE = selectors.INJECTED_OPTION_ATTRIBUTE;
+  
   // State management
   const state = {
     isInitialized: false,
@@ -46,11 +158,23 @@
     isInIframe: window.self !== window.top,
     isShareIframe: false,
     frameType: 'unknown',
+    viewType: 'other', // editor, present, preview, embed, published or other
     lastLogTime: 0,
     loggedElements: new Map(), // For timestamp tracking to prevent log spam
     isInjecting: false, // Flag to prevent concurrent injections
-    quickActionsInjected: false, // Flag to prevent re-injection of quick actions option
-    fallbackCheckDone: false // Flag to ensure fallback check is only done once
+    presentationId: null, // Presentation of the last presentation-opened event
+    menuObserver: null, // MutationObserver that notices Google adding a new Quick Actions menu
+    menuItemsObserver: null, // MutationObserver that re-injects options when Google rebuilds the menu's items
+    observedMenu: null, // Quick Actions menu watched by menuItemsObserver
+    quickActionsMenuWasOpen: false, // Whether the menu was open when the button was pressed, so a closing click isn't polled
+    fallbackControlsActive: false, // Flag set while the fallback button replaces the menu options
+    isMonitoringSlides: false, // Flag set once slide change monitoring is running
+    slideChangeSubscribers: new Map(), // Public API subscriptions: subscription ID -> callback(slide)
+    windowSubscriptions: new WeakMap(), // Page-script window -> IDs of its subscriptions, oldest first
+    announcedSlideId: null, // Slide of the last slide-changed event
+    eventListeners: new Map(), // Internal event name -> Set of listeners
+    followAlong: null, // { target, mode, stopListening } while follow along is on
+    settings: SlideUrlCopierSettings.normalize() // User settings from the options page
   };
   
   // Throttling function to prevent log spam
@@ -74,6 +198,7 @@
   function detectFrameContext() {
     const url = window.location.href;
     state.isInIframe = window.self !== window.top;
+    state.viewType = links.detectViewType(location.pathname);
     
     if (state.isInIframe) {
       if (url.includes('/drivesharing/driveshare')) {
@@ -132,20 +257,61 @@
     if (!state.isInIframe) {
       // Main frame - set up message handler for iframe communication
       setupMainFrameMessageHandler();
+      
+      // Main frame - handle keyboard shortcuts relayed by the background worker
+      setupCommandMessageHandler();
+      
+      // Main frame - answer other extensions' API requests relayed by the background worker
+      setupExtensionApiHandler();
+    }
+    
+    // Answer page scripts' API requests wherever a presentation is shown
+    if (!state.isShareIframe && (!state.isInIframe || VIEWER_VIEW_TYPES.includes(state.viewType))) {
+      setupPublicApiHandler();
     }
     
+    // Public API subscribers follow slide changes
+    onSlideEvent('slide-changed', () => {
+      state.slideChangeSubscribers.forEach((callback, subscriptionId) => notifySlideChangeSubscriber(subscriptionId));
+    });
+    
+    // Another deck was opened in the same tab: nothing from the previous one carries over
+    onSlideEvent('presentation-opened', ({ previousPresentationId }) => {
+      if (previousPresentationId) {
+        resetForNewPresentation();
+      }
+    });
+    
+    // Refresh the selected slides count before the Quick Actions menu shows
+    onSlideEvent('menu-opened', ({ menu }) => {
+      if (menu === 'quick-actions') {
+        updateSelectionOption();
+      }
+    });
+    
     // Different initialization based on frame type
     if (state.isShareIframe) {
       // We're in the share iframe - Quick Actions menu not available here
       log('🎯 Share iframe detected - Quick Actions menu not available');
+    } else if (VIEWER_VIEW_TYPES.includes(state.viewType)) {
+      // Present, preview, embed or published view - no Quick Actions menu, use a floating control
+      // Embedded decks usually live in an iframe on another site, so this runs in any frame
+      log('🎯 Viewer detected:', state.viewType, '- setting up floating control');
+      
+      loadSettings().then(() => {
+        state.isReady = true;
+        setupViewerControls();
+        announcePresentationOpened();
+      });
     } else if (!state.isInIframe) {
       // We're in the main frame - set up Quick Actions menu
       log('🎯 Main frame detected - setting up Quick Actions menu');
       
-      waitForSlidesReady()
+      Promise.all([waitForSlidesReady(), loadSettings()])
         .then(() => {
           log('Google Slides ready in main frame');
           state.isReady = true;
+          announcePresentationOpened();
           
           // Set up slide change monitoring
           monitorSlideChanges();
@@ -153,16 +319,15 @@
           // Set up Quick Actions menu detection
           setupQuickActionsMenuDetection();
           
-          // Proactive menu injection
+          // Per-slide actions on filmstrip thumbnails and in the Slide menu
+          setupFilmstripSlideActions();
+          setupSlideMenuInjection();
+          
+          // Proactive menu injection, repeated whenever Google rebuilds the menu
           scanForExistingQuickActionsMenu();
+          observeQuickActionsMenu();
           
-          // Delayed scan for menu injection
-          setTimeout(() => {
-            if (!state.quickActionsInjected) {
-              log('🔄 Delayed scan for Quick Actions menu...');
-              scanForExistingQuickActionsMenu();
-            }
-          }, 1000);
+          setTimeout(reportMissingEditorTargets, 1000);
         })
         .catch(err => {
           log('Error during initialization:', err);
@@ -183,39 +348,350 @@
   function setupMainFrameMessageHandler() {
     log('📡 Setting up main frame message handler...');
     
-    window.addEventListener('message', (event) => {
-      // Only handle messages from our iframe
-      if (event.data && event.data.type === 'GET_SLIDE_URL') {
-        log('📨 Received slide URL request from iframe:', event.data);
+    // Origin, source frame, request ID and version are checked in frame-messages.js
+    SlideUrlCopierFrames.answerSlideUrlRequests(window, {
+      getSlideUrl: ({ mode, exportFormat }) => {
+        log('📨 Received slide URL request from iframe:', mode, exportFormat);
         
-        try {
-          // Use the requested mode and export format
-          const url = buildSlideUrl({ 
-            mode: event.data.mode || 'EDIT',
-            exportFormat: event.data.exportFormat || null
-          });
-          
-          log('📤 Sending slide URL to iframe:', url);
-          
-          // Send URL back to iframe
-          event.source.postMessage({
-            type: 'SLIDE_URL_RESPONSE',
-            url: url,
-            mode: event.data.mode || 'EDIT',
-            exportFormat: event.data.exportFormat || null
-          }, event.origin);
-          
-        } catch (error) {
-          log('❌ Error generating slide URL:', error);
-          
-          // Send error response
-          event.source.postMessage({
-            type: 'SLIDE_URL_RESPONSE',
-            error: error.message,
-            url: location.href // Fallback to current URL
-          }, event.origin);
+        if (!SLIDE_OPTIONS.some(option => option.mode === mode)) {
+          throw new Error(`Unknown link mode: ${mode}`);
+        }
+        if (exportFormat && !SlideUrlCopierSettings.EXPORT_FORMATS.some(format => format.format === exportFormat)) {
+          throw new Error(`Unknown export format: ${exportFormat}`);
+        }
+        
+        const url = buildSlideUrl({ mode, exportFormat });
+        log('📤 Sending slide URL to iframe:', url);
+        return url;
+      },
+      onIgnored: event => log('⚠️ Ignoring slide URL request from untrusted frame:', event.origin),
+      onError: error => log('❌ Error generating slide URL:', error)
+    });
+  }
+  
+  /**
+   * Listen for an internal event (see SLIDE_EVENTS); returns a function that removes the listener
+   */
+  function onSlideEvent(eventName, listener) {
+    if (!SLIDE_EVENTS.includes(eventName)) {
+      throw new Error(`Unknown event: ${eventName}`);
+    }
+    if (!state.eventListeners.has(eventName)) {
+      state.eventListeners.set(eventName, new Set());
+    }
+    state.eventListeners.get(eventName).add(listener);
+    return () => state.eventListeners.get(eventName).delete(listener);
+  }
+  
+  /**
+   * Tell every listener about an internal event; a failing listener doesn't stop the others
+   */
+  function emitSlideEvent(eventName, detail = {}) {
+    verboseLog('📣 Event:', eventName, detail);
+    
+    for (const listener of state.eventListeners.get(eventName) || []) {
+      try {
+        listener(detail);
+      } catch (error) {
+        log('❌ Error in event listener:', eventName, error);
+      }
+    }
+  }
+  
+  /**
+   * Emit presentation-opened when the page shows a presentation it hasn't announced yet,
+   * including another deck opened in the same tab without a page load
+   * Returns whether the event was emitted
+   */
+  function announcePresentationOpened() {
+    const presentation = links.getPresentationRef(location.pathname);
+    if (!presentation || presentation.id === state.presentationId) {
+      return false;
+    }
+    
+    const previousPresentationId = state.presentationId;
+    state.presentationId = presentation.id;
+    emitSlideEvent('presentation-opened', { presentationId: presentation.id, previousPresentationId, viewType: state.viewType });
+    return true;
+  }
+  
+  /**
+   * Drop what belonged to the previous presentation after another one was opened in the same tab
+   */
+  function resetForNewPresentation() {
+    log('📂 Another presentation opened:', state.presentationId);
+    stopFollowAlong();
+    state.announcedSlideId = null;
+    state.currentSlideId = getCurrentSlideId();
+    
+    // Google may keep the old menu around; rebuild our options for the new deck
+    refreshInjectedOptions();
+  }
+  
+  /**
+   * Answer public API requests that page scripts post to this window (protocol in public-api.js)
+   * Requests from origins that are not on the allow-list are ignored without a reply
+   */
+  function setupPublicApiHandler() {
+    window.addEventListener('message', (event) => {
+      if (!SlideUrlCopierApi.isRequest(event.data) || !event.source) {
+        return;
+      }
+      
+      const { source, origin } = event;
+      if (!SlideUrlCopierApi.isAllowedOrigin(state.settings, origin)) {
+        throttleLog(`api-origin-${origin}`, () => log('⚠️ Ignoring API request from origin not on the allow-list:', origin));
+        return;
+      }
+      
+      const postSlideChange = (subscriptionId, slide) => {
+        // A closed window can't unsubscribe any more
+        if (source.closed) {
+          state.slideChangeSubscribers.delete(subscriptionId);
+          return;
+        }
+        source.postMessage(SlideUrlCopierApi.createEvent('slideChanged', subscriptionId, slide), origin);
+      };
+      
+      const response = respondToApiRequest(event.data, postSlideChange);
+      if (response.ok && event.data.method === 'subscribe') {
+        limitWindowSubscriptions(source, response.result.subscriptionId);
+      }
+      source.postMessage(response, origin);
+    });
+  }
+  
+  /**
+   * Remember a page-script window's new subscription, dropping its oldest beyond MAX_WINDOW_SUBSCRIPTIONS
+   */
+  function limitWindowSubscriptions(source, subscriptionId) {
+    const subscriptionIds = (state.windowSubscriptions.get(source) || [])
+      .filter(id => state.slideChangeSubscribers.has(id));
+    subscriptionIds.push(subscriptionId);
+    
+    while (subscriptionIds.length > MAX_WINDOW_SUBSCRIPTIONS) {
+      const droppedId = subscriptionIds.shift();
+      state.slideChangeSubscribers.delete(droppedId);
+      log('⚠️ Dropping oldest API subscription of a page script:', droppedId);
+    }
+    state.windowSubscriptions.set(source, subscriptionIds);
+  }
+  
+  /**
+   * Answer public API requests from other extensions, relayed by the background worker
+   * after it has checked the caller against the allow-list
+   */
+  function setupExtensionApiHandler() {
+    if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.onMessage) {
+      return;
+    }
+    
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message || message.type !== 'API_REQUEST') {
+        return false;
+      }
+      sendResponse(respondToApiRequest(message.request));
+      return false;
+    });
+    
+    // The background worker opens one port per subscription and closes it to unsubscribe
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name !== SlideUrlCopierApi.PORT_NAME) {
+        return;
+      }
+      const subscriptionId = addSlideChangeSubscriber(slide => port.postMessage(slide));
+      port.onDisconnect.addListener(() => state.slideChangeSubscribers.delete(subscriptionId));
+    });
+  }
+  
+  /**
+   * Run a public API request and build its response
+   * onSlideChange(subscriptionId, slide) delivers the events of a subscribe request
+   */
+  function respondToApiRequest(data, onSlideChange = null) {
+    try {
+      const { method, params } = SlideUrlCopierApi.parseRequest(data);
+      return SlideUrlCopierApi.createResponse(data.id, runApiMethod(method, params, onSlideChange));
+    } catch (error) {
+      log('❌ Error answering API request:', error.message);
+      return SlideUrlCopierApi.createErrorResponse(data.id, error);
+    }
+  }
+  
+  /**
+   * Run a public API method with validated params
+   */
+  function runApiMethod(method, params, onSlideChange) {
+    const { ApiError, ERRORS } = SlideUrlCopierApi;
+    
+    switch (method) {
+      case 'getCurrentSlide':
+        return getSlideInfo();
+      case 'buildUrl':
+        requirePresentationRef();
+        if (params.slideId !== null && !links.isValidSlideObjectId(params.slideId)) {
+          throw new ApiError(ERRORS.INVALID_PARAMS, 'slideId is not a slide object ID');
         }
+        return { url: buildSlideUrl({ mode: params.mode, exportFormat: params.format, slideId: params.slideId }) };
+      case 'subscribe': {
+        if (!onSlideChange) {
+          throw new ApiError(ERRORS.UNKNOWN_METHOD, 'subscribe is not available here');
+        }
+        const subscriptionId = addSlideChangeSubscriber(slide => onSlideChange(subscriptionId, slide));
+        return { subscriptionId };
+      }
+      case 'unsubscribe':
+        return { removed: state.slideChangeSubscribers.delete(params.subscriptionId) };
+      default:
+        throw new ApiError(ERRORS.UNKNOWN_METHOD, `Unknown method: ${method}`);
+    }
+  }
+  
+  /**
+   * Describe the presentation and current slide for API callers
+   */
+  function getSlideInfo() {
+    const presentation = requirePresentationRef();
+    const slideId = getCurrentSlideId();
+    const slide = getFilmstripSlides().find(item => item.slideId === slideId);
+    
+    return {
+      presentationId: presentation.id,
+      isPublished: presentation.isPublished,
+      presentationTitle: getPresentationTitle(),
+      viewType: state.viewType,
+      slideId,
+      slideNumber: slide ? slide.index + 1 : null,
+      slideTitle: slide ? getThumbnailText(slide.element) : ''
+    };
+  }
+  
+  /**
+   * Get the presentation ID for an API request, failing when the page has none
+   */
+  function requirePresentationRef() {
+    const presentation = links.getPresentationRef(location.pathname);
+    if (!presentation) {
+      throw new SlideUrlCopierApi.ApiError(SlideUrlCopierApi.ERRORS.NO_PRESENTATION, 'No presentation in this page');
+    }
+    return presentation;
+  }
+  
+  /**
+   * Call back with the slide info on every slide change, starting with the current slide
+   */
+  function addSlideChangeSubscriber(callback) {
+    const subscriptionId = crypto.randomUUID();
+    state.slideChangeSubscribers.set(subscriptionId, callback);
+    
+    // Embedded viewers don't watch for slide changes until someone subscribes
+    if (!state.isMonitoringSlides) {
+      monitorSlideChanges();
+    }
+    
+    // After the subscribe response has gone out
+    setTimeout(() => notifySlideChangeSubscriber(subscriptionId), 0);
+    return subscriptionId;
+  }
+  
+  /**
+   * Send the current slide to one subscriber
+   */
+  function notifySlideChangeSubscriber(subscriptionId) {
+    const callback = state.slideChangeSubscribers.get(subscriptionId);
+    if (!callback) {
+      return;
+    }
+    
+    try {
+      callback(getSlideInfo());
+    } catch (error) {
+      log('❌ Error notifying API subscriber:', error.message);
+    }
+  }
+  
+  /**
+   * Load user settings and keep them up to date while the page is open
+   */
+  function loadSettings() {
+    return SlideUrlCopierSettings.load()
+      .then(settings => {
+        state.settings = settings;
+        log('⚙️ Settings loaded');
+        
+        SlideUrlCopierSettings.onChange(updatedSettings => {
+          log('⚙️ Settings changed, refreshing menu options');
+          state.settings = updatedSettings;
+          refreshInjectedOptions();
+        });
+      })
+      .catch(error => {
+        log('❌ Error loading settings, using defaults:', error);
+      });
+  }
+  
+  /**
+   * Setup handler for slide actions sent by the background worker:
+   * keyboard shortcuts (by command name) and toolbar popup choices (by option ID)
+   */
+  function setupCommandMessageHandler() {
+    if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.onMessage) {
+      log('⚠️ Extension messaging not available, keyboard shortcuts disabled');
+      return;
+    }
+    
+    log('⌨️ Setting up keyboard shortcut handler...');
+    
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message || (message.type !== 'RUN_SLIDE_COMMAND' && message.type !== 'RUN_SLIDE_OPTION')) {
+        return false;
+      }
+      
+      const option = message.type === 'RUN_SLIDE_COMMAND'
+        ? SLIDE_OPTIONS.find(item => item.command === message.command)
+        : SLIDE_OPTIONS.find(item => item.id === message.optionId);
+      
+      if (!option) {
+        log('❌ Unknown slide action:', message.command || message.optionId);
+        sendResponse({ error: `Unknown action: ${message.command || message.optionId}` });
+        return false;
+      }
+      
+      log('⌨️ Slide action triggered:', option.id);
+      
+      // Pages cannot open tabs without a user gesture, so exports are
+      // handed back to the background worker to open instead
+      let openUrl = null;
+      waitForDocumentFocus()
+        .then(() => performSlideAction(option, { openUrl: (url) => { openUrl = url; } }))
+        .then(() => sendResponse({ openUrl }))
+        .catch(error => {
+          log('❌ Error handling slide action:', error);
+          showLinkCopiedTooltip(getErrorTooltipMessage(error));
+          sendResponse({ error: error.message });
+        });
+      
+      return true; // Keep the channel open for the async response
+    });
+  }
+  
+  /**
+   * Resolve once the page has focus (clipboard writes fail without it)
+   * Needed after the toolbar popup closes and hands focus back to the page
+   */
+  function waitForDocumentFocus(timeout = 1000) {
+    if (document.hasFocus()) {
+      return Promise.resolve();
+    }
+    
+    return new Promise((resolve) => {
+      const timer = setTimeout(done, timeout);
+      function done() {
+        clearTimeout(timer);
+        window.removeEventListener('focus', done);
+        resolve();
       }
+      window.addEventListener('focus', done);
     });
   }
   
@@ -262,6 +738,9 @@
       setTimeout(() => {
         log('Timeout waiting for Slides, proceeding anyway');
         observer.disconnect();
+        if (!selectors.find('editorChrome')) {
+          selectors.reportMissing('editorChrome');
+        }
         resolve();
       }, 10000);
     });
@@ -273,9 +752,7 @@
   function isSlidesReady() {
     // Basic checks for Google Slides
     const hasPresentation = /\/presentation\/d\//.test(location.href);
-    const hasSlideElements = document.querySelector('[role="main"]') || 
-                             document.querySelector('.punch-present-edit-mode') ||
-                             document.querySelector('#docs-chrome');
+    const hasSlideElements = selectors.find('editorChrome');
     
     return hasPresentation && hasSlideElements;
   }
@@ -285,6 +762,7 @@
    */
   function monitorSlideChanges() {
     log('Setting up slide change monitoring');
+    state.isMonitoringSlides = true;
     
     let lastSlideId = getCurrentSlideId();
     
@@ -328,9 +806,7 @@
     const findValidTarget = () => {
       // Try multiple selectors to find a valid target
       const targets = [
-        document.querySelector('[role="main"]'),
-        document.querySelector('#docs-chrome'),
-        document.querySelector('.punch-present-edit-mode'),
+        selectors.find('editorChrome'),
         document.body,
         document.documentElement
       ];
@@ -355,8 +831,10 @@
     
     function handlePotentialSlideChange() {
       setTimeout(() => {
+        // A new deck starts over, even if its first slide has the same ID as the last one shown
+        const presentationChanged = announcePresentationOpened();
         const currentSlideId = getCurrentSlideId();
-        if (currentSlideId !== lastSlideId) {
+        if (presentationChanged || currentSlideId !== lastSlideId) {
           lastSlideId = currentSlideId;
           handleSlideChange(currentSlideId);
         }
@@ -364,84 +842,185 @@
     }
     
     function handleSlideChange(slideId) {
+      // The main frame runs two monitors, so the same change can be seen twice
+      if (slideId === state.announcedSlideId) {
+        return;
+      }
+      
       log('Slide changed to:', slideId);
+      const previousSlideId = state.announcedSlideId;
+      state.announcedSlideId = slideId;
       state.currentSlideId = slideId;
+      emitSlideEvent('slide-changed', { slideId, previousSlideId });
     }
   }
   
   /**
-   * Get current slide ID from URL or DOM
+   * Get current slide object ID from URL or filmstrip
+   * Returns null when the slide cannot be determined, so callers never build links to a wrong slide
    */
   function getCurrentSlideId() {
-    // Try URL hash first
-    const href = location.href;
-    let slideMatch = href.match(/#slide=id\.?([^&]+)/);
+    const slideRef = links.parseSlideHash(location.hash);
+    
+    // Object ID in the URL hash: #slide=id.<object ID>
+    if (slideRef && slideRef.slideId) {
+      if (links.isValidSlideObjectId(slideRef.slideId)) {
+        return slideRef.slideId;
+      }
+      log('⚠️ Ignoring malformed slide ID in URL:', slideRef.slideId);
+    }
+    
+    // Position in the URL hash: #slide=<1-based number>, mapped through the filmstrip
+    if (slideRef && slideRef.position) {
+      const slideId = getSlideIdAtPosition(slideRef.position);
+      if (slideId) {
+        return slideId;
+      }
+    }
+    
+    // Selected filmstrip thumbnail
+    const selectedSlide = getFilmstripSlides().find(slide => slide.isSelected);
+    if (selectedSlide && links.isValidSlideObjectId(selectedSlide.slideId)) {
+      return selectedSlide.slideId;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Map a 1-based filmstrip position to its slide object ID
+   */
+  function getSlideIdAtPosition(position) {
+    const slide = getFilmstripSlides().find(item => item.index === position - 1);
+    return slide && links.isValidSlideObjectId(slide.slideId) ? slide.slideId : null;
+  }
+  
+  /**
+   * Get filmstrip thumbnails in slide order
+   * Thumbnail IDs look like "filmstrip-slide-<index>-<slide object ID>"
+   */
+  function getFilmstripSlides() {
+    const slides = new Map();
     
-    if (slideMatch) {
-      return slideMatch[1];
+    for (const element of selectors.findAll('filmstripSlide')) {
+      const match = element.id.match(/^filmstrip-slide-(\d+)-(.+)$/);
+      if (!match) {
+        continue;
+      }
+      
+      // The thumbnail group comes before its children in document order
+      const index = Number(match[1]);
+      if (!slides.has(index)) {
+        slides.set(index, {
+          index,
+          slideId: match[2],
+          element,
+          isSelected: isFilmstripThumbnailSelected(element)
+        });
+      }
+    }
+    
+    return [...slides.values()].sort((a, b) => a.index - b.index);
+  }
+  
+  /**
+   * Check whether a filmstrip thumbnail is part of the current selection
+   */
+  function isFilmstripThumbnailSelected(thumbnail) {
+    return selectors.matches('selectedFilmstripSlide', thumbnail);
+  }
+  
+  /**
+   * Get IDs of all slides selected in the filmstrip, in filmstrip order
+   */
+  function getSelectedSlideIds() {
+    return getFilmstripSlides()
+      .filter(slide => slide.isSelected)
+      .map(slide => slide.slideId);
+  }
+  
+  /**
+   * Get the presentation title from the title box or document title
+   */
+  function getPresentationTitle() {
+    const titleInput = selectors.find('titleInput');
+    if (titleInput && titleInput.value && titleInput.value.trim()) {
+      return titleInput.value.trim();
     }
     
-    // Try numeric format
-    slideMatch = href.match(/#slide=(\d+)/);
-    if (slideMatch) {
-      return slideMatch[1];
+    // Document title is "<title> - Google Slides" (localized product name)
+    return document.title.replace(/\s+-\s+Google [^-]+$/, '').trim();
+  }
+  
+  /**
+   * Get the first line of text shown on a filmstrip thumbnail
+   */
+  function getThumbnailText(thumbnail) {
+    for (const textElement of thumbnail.querySelectorAll('text')) {
+      const text = textElement.textContent.replace(/\s+/g, ' ').trim();
+      if (text) {
+        return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+      }
     }
     
-    // Fallback to DOM detection
-    const activeSlide = document.querySelector('[aria-selected="true"]');
-    if (activeSlide) {
-      const slideId = activeSlide.getAttribute('data-slide-id') || 
-                     activeSlide.getAttribute('id') ||
-                     '0';
-      return slideId;
+    return '';
+  }
+  
+  /**
+   * Build a human-readable link title, e.g. "Q3 Roadmap – Slide 7: Pricing"
+   */
+  function buildSlideLinkTitle(slideId = getCurrentSlideId()) {
+    const presentationTitle = getPresentationTitle() || 'Google Slides';
+    const slideLabel = getSlideLabel(slideId);
+    
+    return slideLabel ? `${presentationTitle} – ${slideLabel}` : presentationTitle;
+  }
+  
+  /**
+   * Describe a slide by number and text, e.g. "Slide 7: Pricing", or '' if it isn't in the filmstrip
+   */
+  function getSlideLabel(slideId) {
+    const slide = getFilmstripSlides().find(item => item.slideId === slideId);
+    
+    if (!slide) {
+      return '';
     }
     
-    return '0';
+    const slideText = getThumbnailText(slide.element);
+    return `${t('slideNumber', slide.index + 1)}${slideText ? `: ${slideText}` : ''}`;
   }
   
   /**
    * Enhanced URL building - supports edit, demo, presentation, mobile modes and export formats
    */
-  function buildSlideUrl({ mode = 'EDIT', exportFormat = null } = {}) {
+  function buildSlideUrl({ mode = 'EDIT', exportFormat = null, slideId = null, params = {} } = {}) {
     log('Building slide URL with mode:', mode, 'export:', exportFormat);
     
-    const href = location.href;
-    const idMatch = href.match(/\/presentation\/d\/([^/]+)/);
+    const presentation = links.getPresentationRef(location.pathname);
     
-    if (!idMatch) {
-      log('Could not extract presentation ID from URL');
-      return href;
+    if (!presentation) {
+      // Refuse to fall back to the page address, which is not a link to the slide
+      log('❌ Could not extract presentation ID from URL:', location.href);
+      throw new SlideActionError(t('errorPresentationNotFound'));
     }
     
-    const presentationId = idMatch[1];
-    let slideNumber = getCurrentSlideId();
-    
-    log('Presentation ID:', presentationId, 'Slide ID:', slideNumber);
+    // Published decks (/d/e/2PACX-...) only have published and embed views
+    if (presentation.isPublished && (exportFormat || !PUBLISHED_MODES.includes(mode))) {
+      throw new SlideActionError(t('errorPublishedLinksOnly'));
+    }
     
-    let finalUrl;
+    let slideNumber = slideId || getCurrentSlideId();
     
-    if (exportFormat) {
-      // Export formats - downloads the current slide
-      finalUrl = `https://docs.google.com/presentation/d/${presentationId}/export?format=${exportFormat}&slide=${slideNumber}`;
-    } else {
-      // Viewing modes
-      switch (mode) {
-        case 'DEMO':
-          finalUrl = `https://docs.google.com/presentation/d/${presentationId}/edit?rm=demo#slide=id.${slideNumber}`;
-          break;
-        case 'PRESENT':
-          finalUrl = `https://docs.google.com/presentation/d/${presentationId}/present#slide=id.${slideNumber}`;
-          break;
-        case 'MOBILE':
-          finalUrl = `https://docs.google.com/presentation/d/${presentationId}/mobilepresent#slide=id.${slideNumber}`;
-          break;
-        case 'EDIT':
-        default:
-          finalUrl = `https://docs.google.com/presentation/d/${presentationId}/edit#slide=id.${slideNumber}`;
-          break;
-      }
+    if (!links.isValidSlideObjectId(slideNumber)) {
+      // Refuse to build a link that would open the wrong slide
+      throw new SlideActionError(t('errorSlideNotFound'));
     }
     
+    log('Presentation ID:', presentation.id, 'Slide ID:', slideNumber);
+    
+    // Export formats download the slide; link modes open it
+    const finalUrl = links.formatSlideUrl({ presentation, slideId: slideNumber, mode, exportFormat, params });
+    
     log('Final URL generated:', finalUrl);
     return finalUrl;
   }
@@ -452,13 +1031,21 @@
   function setupQuickActionsMenuDetection() {
     log('🎯 Setting up quick actions menu detection...');
     
+    // Google toggles the menu on press, so its state is read before that to tell opening from closing clicks
+    const rememberQuickActionsMenuState = (event) => {
+      if (selectors.closest('quickActionsButton', event.target)) {
+        state.quickActionsMenuWasOpen = isQuickActionsMenuOpen();
+      }
+    };
+    document.addEventListener('pointerdown', rememberQuickActionsMenuState, true);
+    document.addEventListener('keydown', rememberQuickActionsMenuState, true);
+    
     // Listen for clicks on the quick actions menu button
     document.addEventListener('click', (event) => {
       const target = event.target;
       
       // Check if clicked element is the quick actions menu button or its parent
-      const quickActionsButton = target.closest('#scb-quick-actions-menu-button') || 
-                                 (target.id === 'scb-quick-actions-menu-button' ? target : null);
+      const quickActionsButton = selectors.closest('quickActionsButton', target);
       
       if (quickActionsButton) {
         log('🎯 QUICK ACTIONS MENU BUTTON CLICKED!', {
@@ -473,28 +1060,17 @@
           log('📍 Updated current slide ID to:', newSlideId);
         }
         
-        // One-time fallback check: if option not injected and we haven't checked before
-        if (!state.quickActionsInjected && !state.fallbackCheckDone) {
-          log('🔧 Fallback check: option not injected, attempting injection...');
-          state.fallbackCheckDone = true; // Mark that we've done the fallback check
-          waitForQuickActionsMenu();
-        } else if (state.quickActionsInjected && !state.fallbackCheckDone) {
-          // Option was injected but let's verify it's actually in the DOM (one-time check)
-          setTimeout(() => {
-            const menu = document.querySelector('.goog-menu.scb-sqa-menu.goog-menu.scb-sqa-menu-vertical[role="menu"]');
-            if (menu && menu.style.visibility === 'visible') {
-              const existingOption = menu.querySelector('#current-slide-copy-option');
-              if (!existingOption) {
-                log('🔧 Fallback check: option missing from DOM, re-injecting...');
-                state.quickActionsInjected = false; // Reset flag to allow re-injection
-                injectCurrentSlideOption(menu);
-              } else {
-                log('✅ Fallback check: option confirmed in DOM');
-              }
-            }
-            state.fallbackCheckDone = true; // Mark that we've done the fallback check
-          }, 100);
+        const menuWasOpen = state.quickActionsMenuWasOpen;
+        state.quickActionsMenuWasOpen = false;
+        if (menuWasOpen) {
+          verboseLog('ℹ️ Quick Actions menu closed');
+          return;
         }
+        
+        emitSlideEvent('menu-opened', { menu: 'quick-actions', slideId: newSlideId });
+        
+        // Make sure the menu that opens has our options; shows the fallback button if it never does
+        waitForQuickActionsMenu();
       }
     }, true); // Use capture phase to catch the event early
     
@@ -502,9 +1078,329 @@
   }
 
   /**
-   * Scan for existing quick actions menu and inject our option immediately
+   * Get enabled options that act on one slide (links, exports, copy as image)
    */
-  function scanForExistingQuickActionsMenu() {
+  function getSingleSlideOptions() {
+    return SlideUrlCopierSettings.getMenuOptions(state.settings)
+      .filter(option => !option.selection && !option.dialog);
+  }
+
+  /**
+   * Show a hover button on filmstrip thumbnails that opens that slide's actions
+   * The button lives outside the filmstrip, so using it never changes the selection
+   */
+  function setupFilmstripSlideActions() {
+    log('🎞️ Setting up filmstrip slide actions...');
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.id = 'slide-url-copier-thumbnail-button';
+    button.title = t('thumbnailButtonTitle');
+    button.setAttribute('aria-label', t('thumbnailButtonTitle'));
+    button.setAttribute('aria-haspopup', 'menu');
+    button.innerHTML = `
+      <svg width="16" height="16" viewBox="0 0 24 24" aria-hidden="true">
+        <path fill="currentColor" d="M3.9 12c0-1.71 1.39-3.1 3.1-3.1h4V7H7c-2.76 0-5 2.24-5 5s2.24 5 5 5h4v-1.9H7c-1.71 0-3.1-1.39-3.1-3.1zM8 13h8v-2H8v2zm9-6h-4v1.9h4c1.71 0 3.1 1.39 3.1 3.1s-1.39 3.1-3.1 3.1h-4V17h4c2.76 0 5-2.24 5-5s-2.24-5-5-5z"/>
+      </svg>
+    `;
+    button.hidden = true;
+    document.body.appendChild(button);
+    
+    let hoveredSlideId = null;
+    let hideTimer = null;
+    
+    const hideButton = () => {
+      button.hidden = true;
+      hoveredSlideId = null;
+    };
+    
+    document.addEventListener('mouseover', (event) => {
+      if (button.contains(event.target)) {
+        clearTimeout(hideTimer);
+        return;
+      }
+      
+      // Cheap check first: only walk the filmstrip when hovering part of a thumbnail
+      const thumbnailPart = selectors.closest('filmstripSlide', event.target);
+      const slide = thumbnailPart && getFilmstripSlides().find(item => item.element.contains(event.target));
+      if (!slide) {
+        // Short delay so the pointer can travel from the thumbnail to the button
+        clearTimeout(hideTimer);
+        hideTimer = setTimeout(hideButton, 300);
+        return;
+      }
+      
+      clearTimeout(hideTimer);
+      hoveredSlideId = slide.slideId;
+      
+      // Top corner away from the slide number, which sits on the reading-start side
+      const rect = slide.element.getBoundingClientRect();
+      button.style.top = `${rect.top + 4}px`;
+      button.style.left = `${isRtlPage() ? rect.left + 4 : rect.right - 32}px`;
+      button.hidden = false;
+    }, { passive: true });
+    
+    // Keep Google's filmstrip from seeing our clicks
+    button.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+    });
+    
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      
+      if (hoveredSlideId) {
+        openSlideActionsMenu(hoveredSlideId, button.getBoundingClientRect());
+      }
+    });
+    
+    log('✅ Filmstrip slide actions set up');
+  }
+
+  /**
+   * Turn "Copy current slide link" into "Copy slide link" for menus about a specific slide
+   * currentSlidePhrase may list several forms separated by "|" (e.g. German cases)
+   */
+  function toThisSlideText(text) {
+    const phrases = t('currentSlidePhrase').split('|')
+      .map(phrase => phrase.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .filter(Boolean);
+    return phrases.length > 0
+      ? text.replace(new RegExp(phrases.join('|'), 'i'), t('thisSlidePhrase'))
+      : text;
+  }
+
+  /**
+   * Whether the Slides UI is laid out right-to-left (e.g. Hebrew)
+   */
+  function isRtlPage() {
+    return getComputedStyle(document.documentElement).direction === 'rtl';
+  }
+
+  /**
+   * Open a small menu of single-slide actions for a specific slide
+   */
+  function openSlideActionsMenu(slideId, anchorRect, { options = getSingleSlideOptions(), placement = 'below' } = {}) {
+    closeSlideActionsMenu();
+    
+    const menu = document.createElement('div');
+    menu.id = 'slide-url-copier-thumbnail-menu';
+    menu.dir = SlideUrlCopierI18n.getDirection();
+    menu.setAttribute('role', 'menu');
+    
+    const slide = getFilmstripSlides().find(item => item.slideId === slideId);
+    const heading = document.createElement('div');
+    heading.className = 'scu-thumbnail-menu-heading';
+    heading.textContent = slide ? t('slideNumber', slide.index + 1) : t('currentSlide');
+    menu.appendChild(heading);
+    
+    const isCurrentSlide = !slideId || slideId === getCurrentSlideId();
+    for (const option of options.filter(candidate => isCurrentSlide || !candidate.currentSlideOnly)) {
+      const item = document.createElement('div');
+      item.className = 'scu-thumbnail-menu-item';
+      item.setAttribute('role', 'menuitem');
+      item.tabIndex = -1;
+      item.textContent = toThisSlideText(option.text);
+      
+      item.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+      });
+      
+      item.addEventListener('click', async (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        closeSlideActionsMenu();
+        
+        log('🔗 Filmstrip slide action clicked:', { slideId, option: option.id });
+        
+        try {
+          await performSlideAction(option, { slideId });
+        } catch (error) {
+          log('❌ Error handling filmstrip slide action:', error);
+          showLinkCopiedTooltip(getErrorTooltipMessage(error));
+        }
+      });
+      
+      menu.appendChild(item);
+    }
+    
+    if (placement === 'above') {
+      menu.style.bottom = `${window.innerHeight - anchorRect.top + 4}px`;
+    } else {
+      menu.style.top = `${anchorRect.bottom + 4}px`;
+    }
+    if (isRtlPage()) {
+      menu.style.right = `${window.innerWidth - anchorRect.right}px`;
+    } else {
+      menu.style.left = `${anchorRect.left}px`;
+    }
+    document.body.appendChild(menu);
+    
+    // Close on outside click or Escape
+    const handleOutsideMouseDown = (event) => {
+      if (!menu.contains(event.target)) {
+        closeSlideActionsMenu();
+      }
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        closeSlideActionsMenu();
+      }
+    };
+    document.addEventListener('mousedown', handleOutsideMouseDown, true);
+    document.addEventListener('keydown', handleKeyDown, true);
+    
+    menu.cleanup = () => {
+      document.removeEventListener('mousedown', handleOutsideMouseDown, true);
+      document.removeEventListener('keydown', handleKeyDown, true);
+    };
+    
+    emitSlideEvent('menu-opened', { menu: 'slide-actions', slideId });
+  }
+
+  /**
+   * Close the filmstrip slide actions menu, if open
+   */
+  function closeSlideActionsMenu() {
+    const menu = document.getElementById('slide-url-copier-thumbnail-menu');
+    if (menu) {
+      menu.cleanup();
+      menu.remove();
+    }
+  }
+
+  /**
+   * Show a floating "copy slide link" control in present, preview, embed and published views
+   * It fades out while the mouse is idle, like the viewer's own controls
+   */
+  function setupViewerControls() {
+    if (document.getElementById('slide-url-copier-viewer-button')) {
+      return;
+    }
+    
+    const presentation = links.getPresentationRef(location.pathname);
+    const options = presentation && presentation.isPublished
+      ? PUBLISHED_VIEW_OPTIONS
+      : getSingleSlideOptions();
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.id = 'slide-url-copier-viewer-button';
+    button.textContent = t('viewerButton');
+    button.setAttribute('aria-haspopup', 'menu');
+    document.body.appendChild(button);
+    
+    let idleTimer = null;
+    const showButton = () => {
+      button.classList.remove('scu-idle');
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        if (!document.getElementById('slide-url-copier-thumbnail-menu')) {
+          button.classList.add('scu-idle');
+        }
+      }, 3000);
+    };
+    document.addEventListener('mousemove', showButton, { passive: true });
+    showButton();
+    
+    // Keep the viewer from treating our clicks as "next slide"
+    button.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+    });
+    
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      openSlideActionsMenu(null, button.getBoundingClientRect(), { options, placement: 'above' });
+    });
+    
+    log('✅ Viewer controls set up for', state.viewType);
+  }
+
+  /**
+   * Add the single-slide options to the menubar's "Slide" menu when it opens
+   */
+  function setupSlideMenuInjection() {
+    log('🎯 Setting up Slide menu injection...');
+    
+    document.addEventListener('click', (event) => {
+      const slideMenuButton = selectors.closest('slideMenuButton', event.target);
+      if (!slideMenuButton) {
+        return;
+      }
+      
+      // Google renders the menu right after the click
+      setTimeout(() => {
+        const menu = findMenuOpenedBy(slideMenuButton);
+        if (menu) {
+          injectSlideMenuOptions(menu);
+          emitSlideEvent('menu-opened', { menu: 'slide-menu', slideId: getCurrentSlideId() });
+        } else {
+          log('⚠️ Slide menu not found after menubar click');
+          // Other menus on the page mean the selector still works and only the placement check failed
+          if (selectors.findAll('googleMenu').length === 0) {
+            selectors.reportMissing('googleMenu');
+          }
+        }
+      }, 100);
+    }, true);
+  }
+
+  /**
+   * Find the visible popup menu closest below a menubar button
+   */
+  function findMenuOpenedBy(menuButton) {
+    const buttonRect = menuButton.getBoundingClientRect();
+    let closestMenu = null;
+    let closestDistance = Infinity;
+    
+    for (const menu of selectors.findAll('googleMenu')) {
+      if (menu.style.visibility === 'hidden' || menu.style.display === 'none' || menu.classList.contains('scb-sqa-menu')) {
+        continue;
+      }
+      
+      const menuRect = menu.getBoundingClientRect();
+      const distance = Math.abs(menuRect.left - buttonRect.left) + Math.abs(menuRect.top - buttonRect.bottom);
+      if (menuRect.width > 0 && distance < closestDistance) {
+        closestMenu = menu;
+        closestDistance = distance;
+      }
+    }
+    
+    return closestDistance < 50 ? closestMenu : null;
+  }
+
+  /**
+   * Append our single-slide options to the Slide menu, once
+   */
+  function injectSlideMenuOptions(menu) {
+    if (menu.querySelector(`[${INJECTED_OPTION_ATTRIBUTE}]`)) {
+      return;
+    }
+    
+    const separator = document.createElement('div');
+    separator.className = 'goog-menuseparator';
+    separator.setAttribute('role', 'separator');
+    separator.setAttribute(INJECTED_OPTION_ATTRIBUTE, 'separator');
+    menu.appendChild(separator);
+    
+    for (const option of getSingleSlideOptions()) {
+      const menuItem = createQuickActionsMenuItem(option);
+      // Menu items need unique IDs; the Quick Actions menu already uses the option IDs
+      menuItem.id = `slide-menu-${option.id}`;
+      menu.appendChild(menuItem);
+    }
+    
+    log('✅ Slide menu options injected');
+  }
+
+  /**
+   * Scan for existing quick actions menu and inject our option immediately
+   */
+  function scanForExistingQuickActionsMenu() {
     log('🔍 Scanning for existing quick actions menu...');
     
     // Initialize current slide ID
@@ -512,24 +1408,97 @@
     log('📍 Initialized current slide ID to:', state.currentSlideId);
     
     // Look for the quick actions menu that might already exist
-    const menu = document.querySelector('.goog-menu.scb-sqa-menu.goog-menu.scb-sqa-menu-vertical[role="menu"]');
+    const menu = selectors.find('quickActionsMenu');
     
     if (menu) {
       log('✅ Found existing quick actions menu, injecting option immediately...');
       injectCurrentSlideOption(menu);
     } else {
-      log('ℹ️ No existing quick actions menu found, will try again after delay...');
-      
-      // Try again after a short delay in case the menu loads shortly after document ready
-      setTimeout(() => {
-        const delayedMenu = document.querySelector('.goog-menu.scb-sqa-menu.goog-menu.scb-sqa-menu-vertical[role="menu"]');
-        if (delayedMenu) {
-          log('✅ Found quick actions menu after delay, injecting option...');
-          injectCurrentSlideOption(delayedMenu);
-        } else {
-          log('ℹ️ Still no quick actions menu found, will inject when user clicks');
-        }
-      }, 1000); // Try again after 1 second
+      log('ℹ️ No existing quick actions menu found, will inject when Google creates it');
+    }
+  }
+
+  /**
+   * Re-inject our options whenever Google creates or rebuilds the Quick Actions menu
+   * Google adds its menus directly to the body, so only the body's children are watched for a new menu;
+   * the slide canvas changes far below them on every edit
+   */
+  function observeQuickActionsMenu() {
+    if (state.menuObserver) {
+      return;
+    }
+    
+    state.menuObserver = new MutationObserver((mutations) => {
+      const menuAdded = mutations.some(mutation => [...mutation.addedNodes].some(node =>
+        node.nodeType === Node.ELEMENT_NODE &&
+        (selectors.matches('quickActionsMenu', node) || selectors.find('quickActionsMenu', node))));
+      if (menuAdded) {
+        verboseLog('🔄 Quick Actions menu created');
+        watchQuickActionsMenu(selectors.find('quickActionsMenu'));
+      }
+    });
+    
+    state.menuObserver.observe(document.body, { childList: true });
+    watchQuickActionsMenu(selectors.find('quickActionsMenu'));
+  }
+
+  /**
+   * Watch one Quick Actions menu's items and put our options back when Google rebuilds them
+   * Injection is idempotent, so the observer only has to notice that the options are gone
+   */
+  function watchQuickActionsMenu(menu) {
+    if (!menu || menu === state.observedMenu) {
+      return;
+    }
+    
+    if (state.menuItemsObserver) {
+      state.menuItemsObserver.disconnect();
+    }
+    state.observedMenu = menu;
+    state.menuItemsObserver = new MutationObserver(() => {
+      if (!hasInjectedOptions(menu)) {
+        verboseLog('🔄 Quick Actions menu rebuilt, re-injecting options');
+        injectCurrentSlideOption(menu);
+      }
+    });
+    state.menuItemsObserver.observe(menu, { childList: true, subtree: true });
+    
+    if (!hasInjectedOptions(menu)) {
+      injectCurrentSlideOption(menu);
+    }
+  }
+
+  /**
+   * Check whether the Quick Actions menu is showing
+   */
+  function isQuickActionsMenuOpen() {
+    const menu = selectors.find('quickActionsMenu');
+    return Boolean(menu && menu.style.visibility === 'visible');
+  }
+
+  /**
+   * Check whether a menu still has the options this extension added
+   */
+  function hasInjectedOptions(menu) {
+    return Boolean(menu.querySelector(`[${INJECTED_OPTION_ATTRIBUTE}]`));
+  }
+
+  /**
+   * Record the editor elements the extension relies on that are still missing once the editor has loaded
+   * Most are only looked up on demand, so a broken selector would otherwise never show up in Diagnostics
+   */
+  function reportMissingEditorTargets() {
+    const filmstripSlides = getFilmstripSlides();
+    if (filmstripSlides.length === 0) {
+      selectors.reportMissing('filmstripSlide');
+    } else if (!filmstripSlides.some(slide => slide.isSelected)) {
+      selectors.reportMissing('selectedFilmstripSlide');
+    }
+    
+    for (const targetId of ['titleInput', 'quickActionsButton', 'shareButton']) {
+      if (!selectors.find(targetId)) {
+        selectors.reportMissing(targetId);
+      }
     }
   }
 
@@ -551,10 +1520,11 @@
       attempts++;
       
       // Look for the quick actions menu
-      const menu = document.querySelector('.goog-menu.scb-sqa-menu.goog-menu.scb-sqa-menu-vertical[role="menu"]');
+      const menu = selectors.find('quickActionsMenu');
       
       if (menu && menu.style.visibility === 'visible') {
         log('✅ Quick actions menu detected!');
+        watchQuickActionsMenu(menu);
         menuFound = true;
         
         // Process the menu to inject our option
@@ -570,6 +1540,8 @@
         setTimeout(checkForMenu, 100);
       } else {
         log('⚠️ Quick actions menu not found after', maxAttempts, 'attempts');
+        selectors.reportMissing('quickActionsMenu');
+        activateFallbackControls('Quick Actions menu not found');
       }
     };
     
@@ -583,66 +1555,139 @@
   function injectCurrentSlideOption(menu) {
     log('🚀 Injecting multiple slide options into quick actions menu...');
     
-    // Check if we've already injected
-    if (state.quickActionsInjected) {
-      log('ℹ️ Quick actions options already injected, skipping...');
+    // Our options are still in this menu; a rebuilt or new menu has none
+    if (hasInjectedOptions(menu)) {
+      verboseLog('ℹ️ Quick actions options already injected, skipping...');
+      removeFallbackControls();
       return;
     }
     
     // Find the "Copy link" menu item
-    const menuItems = menu.querySelectorAll('.goog-menuitem.scb-sqa-menuitem[role="menuitem"]');
-    let copyLinkItem = null;
-    
-    for (const item of menuItems) {
-      const text = item.textContent.toLowerCase();
-      if (text.includes('copy link') && !text.includes('time')) {
-        copyLinkItem = item;
-        break;
-      }
-    }
+    const copyLinkItem = findCopyLinkMenuItem(menu);
     
     if (!copyLinkItem) {
       log('❌ Could not find "Copy link" menu item');
+      selectors.reportMissing('copyLinkMenuItem');
+      activateFallbackControls('"Copy link" menu item not found');
       return;
     }
     
     log('✅ Found "Copy link" menu item, creating slide options...');
     
-    // Check if our options already exist (double-check)
-    const existingOption = menu.querySelector('#current-slide-copy-option');
-    if (existingOption) {
-      log('ℹ️ Current slide options already exist in DOM, marking as injected');
-      state.quickActionsInjected = true;
-      return;
-    }
-    
-    // Create multiple menu items
-    const menuOptions = [
-      { id: 'current-slide-copy-option', text: 'Copy current slide link', mode: 'EDIT' },
-      { id: 'current-slide-demo-option', text: 'Copy current slide demo link', mode: 'DEMO' },
-      { id: 'current-slide-present-option', text: 'Copy current slide presentation link', mode: 'PRESENT' },
-      { id: 'current-slide-mobile-option', text: 'Copy current slide mobile link', mode: 'MOBILE' },
-      { id: 'current-slide-export-png', text: 'Export current slide as PNG', exportFormat: 'png' },
-      { id: 'current-slide-export-pdf', text: 'Export current slide as PDF', exportFormat: 'pdf' }
-    ];
-    
     let lastInsertedItem = copyLinkItem;
     
-    // Create and insert each menu item
-    for (const option of menuOptions) {
+    // Create and insert each enabled menu item, in the user's order
+    for (const option of SlideUrlCopierSettings.getMenuOptions(state.settings)) {
       const menuItem = createQuickActionsMenuItem(option);
       lastInsertedItem.insertAdjacentElement('afterend', menuItem);
       lastInsertedItem = menuItem;
     }
     
-    // Mark as injected
-    state.quickActionsInjected = true;
+    // Only show the selection option when several slides are selected
+    updateSelectionOption(menu);
+    
+    removeFallbackControls();
+    
+    log('✅ All slide options injected successfully');
+  }
+
+  /**
+   * Find Google's "Copy link" item in the Quick Actions menu
+   * Matched by its icon so it works in any UI language, with the item text as a fallback
+   */
+  function findCopyLinkMenuItem(menu) {
+    return selectors.find('copyLinkMenuItem', menu);
+  }
+
+  /**
+   * Show a "Slide link" button next to Share when the Quick Actions menu cannot be used
+   * (e.g. Google renamed its classes), offering all the same options
+   */
+  function activateFallbackControls(reason) {
+    if (state.fallbackControlsActive) {
+      return;
+    }
+    
+    log('❌ Quick Actions injection failed:', reason, '- showing fallback button');
+    state.fallbackControlsActive = true;
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.id = 'slide-url-copier-fallback-button';
+    button.textContent = t('fallbackButton');
+    button.title = t('fallbackButtonTitle');
+    button.setAttribute('aria-haspopup', 'menu');
+    
+    const shareButton = selectors.find('shareButton');
+    if (shareButton && shareButton.parentElement) {
+      shareButton.insertAdjacentElement('beforebegin', button);
+    } else {
+      selectors.reportMissing('shareButton');
+      // No Share button either - float in the top-right corner
+      button.classList.add('scu-floating');
+      document.body.appendChild(button);
+    }
+    
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      openSlideActionsMenu(null, button.getBoundingClientRect(), {
+        options: SlideUrlCopierSettings.getMenuOptions(state.settings)
+      });
+    });
+  }
+
+  /**
+   * Remove the fallback button once the Quick Actions menu works again
+   */
+  function removeFallbackControls() {
+    const button = document.getElementById('slide-url-copier-fallback-button');
+    if (button) {
+      button.remove();
+      log('✅ Quick Actions menu available again, fallback button removed');
+    }
+    state.fallbackControlsActive = false;
+  }
+
+  /**
+   * Show "Copy links for N selected slides" only when more than one slide is selected
+   */
+  function updateSelectionOption(menu = document) {
+    const selectionItem = menu.querySelector(`[${INJECTED_OPTION_ATTRIBUTE}="selected-slides-copy-option"]`);
+    if (!selectionItem) {
+      return;
+    }
+    
+    const selectedCount = getSelectedSlideIds().length;
+    selectionItem.style.display = selectedCount > 1 ? '' : 'none';
+    
+    const menuItemSettings = state.settings.menuItems.find(item => item.id === 'selected-slides-copy-option');
+    const textDiv = selectionItem.querySelector('.scb-sqa-menuitem-content > div');
+    
+    // Keep a custom name from the options page, otherwise show the count
+    if (textDiv && selectedCount > 1 && !(menuItemSettings && menuItemSettings.label)) {
+      textDiv.textContent = t('optionCopySelectedLinksCount', selectedCount);
+    }
+  }
+
+  /**
+   * Replace injected options after the user changes their settings
+   */
+  function refreshInjectedOptions() {
+    const menu = selectors.find('quickActionsMenu');
+    
+    // Remove our items from every Google menu (Quick Actions and Slide menu);
+    // the next injection picks up the new settings
+    document.querySelectorAll(`.goog-menu [${INJECTED_OPTION_ATTRIBUTE}]`).forEach(item => item.remove());
     
-    log('✅ All slide options injected successfully - will not inject again');
+    if (menu) {
+      injectCurrentSlideOption(menu);
+    }
   }
 
   /**
    * Create menu item for quick actions with appropriate icon
+   * Quick Actions and Slide menu items always act on the current slide
    */
   function createQuickActionsMenuItem(option) {
     // Create the main menu item container
@@ -651,6 +1696,7 @@
     menuItem.setAttribute('role', 'menuitem');
     menuItem.setAttribute('aria-disabled', 'false');
     menuItem.id = option.id;
+    menuItem.setAttribute(INJECTED_OPTION_ATTRIBUTE, option.id);
     menuItem.style.userSelect = 'none';
     
     // Create menu item content
@@ -667,10 +1713,15 @@
     const textDiv = document.createElement('div');
     textDiv.style.userSelect = 'none';
     textDiv.textContent = option.text;
+    // Custom labels may be in any language, so let the text pick its own direction
+    textDiv.dir = 'auto';
+    
+    // Export options (single slide or bundle) use the download icon
+    const usesDownloadIcon = Boolean(option.exportFormat || option.dialog === 'export');
     
     // Create icon container
     const iconContainer = document.createElement('div');
-    if (option.exportFormat) {
+    if (usesDownloadIcon) {
       // For export options, use minimal container styling
       iconContainer.className = '';
     } else {
@@ -683,7 +1734,7 @@
     const icon = document.createElement('div');
     icon.style.userSelect = 'none';
     
-    if (option.exportFormat) {
+    if (usesDownloadIcon) {
       // Use Google's download icon structure for export options
       icon.className = 'docs-icon goog-inline-block goog-menuitem-icon';
       icon.setAttribute('aria-hidden', 'true');
@@ -707,7 +1758,7 @@
     menuItem.appendChild(content);
     
     // Add click handler
-    menuItem.addEventListener('click', createQuickActionsClickHandler(textDiv, option.mode, option.exportFormat));
+    menuItem.addEventListener('click', createQuickActionsClickHandler(option));
     
     // Add hover effects
     menuItem.addEventListener('mouseenter', () => {
@@ -724,82 +1775,1638 @@
   /**
    * Create click handler for quick actions menu item
    */
-  function createQuickActionsClickHandler(textElement, mode, exportFormat) {
+  function createQuickActionsClickHandler(option) {
     return async (event) => {
       event.preventDefault();
       event.stopPropagation();
       
-      log('🔗 Quick actions option clicked:', { mode, exportFormat });
+      log('🔗 Quick actions option clicked:', { mode: option.mode, exportFormat: option.exportFormat });
       
       try {
-        let url;
-        
-        if (state.isShareIframe) {
-          // We're in iframe, need to communicate with main frame
-          url = await requestSlideUrlFromMainFrame(mode, exportFormat);
-        } else {
-          // We're in main frame, can get URL directly
-          url = buildSlideUrl({ mode: mode, exportFormat: exportFormat });
-        }
-        
-        if (exportFormat) {
-          // For exports, open the download URL in a new tab
-          window.open(url, '_blank');
-          showLinkCopiedTooltip(`${exportFormat.toUpperCase()} export started`);
-          log('✅ Export started successfully:', url);
-        } else {
-          // For copy actions, copy to clipboard
-          await navigator.clipboard.writeText(url);
-          showLinkCopiedTooltip('Link copied');
-          log('✅ Link copied successfully:', url);
-        }
+        await performSlideAction(option);
         
         // Let Google handle menu closing naturally instead of forcing it
         // This prevents interference with Google's internal state management
         
       } catch (error) {
         log('❌ Error handling quick actions option:', error);
-        showLinkCopiedTooltip('Error occurred');
+        showLinkCopiedTooltip(getErrorTooltipMessage(error));
       }
     };
   }
 
   /**
-   * Promise-based iframe communication
+   * Get the tooltip text for a failed action
    */
-  function requestSlideUrlFromMainFrame(mode = 'EDIT', exportFormat = null) {
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Timeout waiting for slide URL'));
-      }, 5000);
-      
-      const messageHandler = (event) => {
-        if (event.data && event.data.type === 'SLIDE_URL_RESPONSE') {
-          clearTimeout(timeout);
-          window.removeEventListener('message', messageHandler);
-          
-          if (event.data.error) {
-            reject(new Error(event.data.error));
-          } else {
-            resolve(event.data.url);
-          }
-        }
-      };
-      
-      window.addEventListener('message', messageHandler);
-      
-      window.parent.postMessage({
-        type: 'GET_SLIDE_URL',
-        mode: mode,
-        exportFormat: exportFormat
-      }, '*');
-    });
+  function getErrorTooltipMessage(error) {
+    return error instanceof SlideActionError ? error.message : t('errorOccurred');
+  }
+
+  /**
+   * Run a slide option: copy its link or start its export
+   * Shared by menu clicks and keyboard shortcuts
+   */
+  async function performSlideAction(option, { openUrl = (url) => window.open(url, '_blank'), slideId = null } = {}) {
+    const { mode, exportFormat } = option;
+    let url;
+    
+    if (option.selection) {
+      return copySelectedSlideLinks(mode);
+    }
+    
+    if (option.copyImage) {
+      return copySlideImageToClipboard(slideId || getCurrentSlideId());
+    }
+    
+    if (option.copyText) {
+      return copySlideTextToClipboard(option.copyText, slideId || getCurrentSlideId());
+    }
+    
+    if (option.dialog) {
+      if (state.isShareIframe) {
+        throw new SlideActionError(t('errorEditorOnly'));
+      }
+      // Dialogs load their last-used choices first; a failure ends up in the caller's error tooltip
+      return SLIDE_DIALOGS[option.dialog](slideId);
+    }
+    
+    if (option.qrCode) {
+      if (state.isShareIframe) {
+        throw new SlideActionError(t('errorEditorOnly'));
+      }
+      url = buildSlideUrl({ mode: mode, slideId: slideId });
+      openQrCodeDialog(url, slideId || getCurrentSlideId());
+      return url;
+    }
+    
+    if (state.isShareIframe) {
+      // We're in iframe, need to communicate with main frame
+      url = await SlideUrlCopierFrames.requestSlideUrl(window, { mode, exportFormat });
+    } else {
+      // We're in main frame, can get URL directly
+      url = buildSlideUrl({ mode: mode, exportFormat: exportFormat, slideId: slideId });
+    }
+    
+    if (exportFormat) {
+      // For exports, open the download URL in a new tab
+      openUrl(url);
+      showLinkCopiedTooltip(t('exportStarted', SlideUrlCopierSettings.getExportFormatName(exportFormat)));
+      log('✅ Export started successfully:', url);
+      recordHistory({ url, kind: 'export', exportFormat, slideId });
+    } else if (option.shortLink) {
+      await copyShortLinkToClipboard(url, slideId);
+      recordHistory({ url, kind: 'link', mode, slideId });
+    } else {
+      // For copy actions, copy to clipboard in the user's chosen format
+      await copyLinkToClipboard(url, slideId ? buildSlideLinkTitle(slideId) : null);
+      showLinkCopiedTooltip(t('linkCopied'));
+      log('✅ Link copied successfully:', url);
+      recordHistory({ url, kind: 'link', mode, slideId });
+    }
+    
+    return url;
+  }
+
+  /**
+   * Copy a short link from the configured shortener, or the full link when there is none
+   */
+  async function copyShortLinkToClipboard(url, slideId = null) {
+    let shortUrl = null;
+    
+    if (state.settings.shortener.service) {
+      try {
+        shortUrl = await requestShortUrl(url);
+      } catch (error) {
+        log('❌ Error shortening link, copying the full link instead:', error.message);
+      }
+    }
+    
+    await copyLinkToClipboard(shortUrl || url, slideId ? buildSlideLinkTitle(slideId) : null);
+    
+    if (shortUrl) {
+      showLinkCopiedTooltip(t('shortLinkCopied'));
+    } else {
+      showLinkCopiedTooltip(state.settings.shortener.service ? t('shortLinkFailed') : t('shortLinkNotConfigured'));
+    }
+    log('✅ Short link copied successfully:', shortUrl || url);
+  }
+
+  /**
+   * Ask the background worker to shorten a link with the configured service
+   */
+  async function requestShortUrl(url) {
+    const response = await chrome.runtime.sendMessage({ type: 'SHORTEN_URL', url: url });
+    if (!response || response.error) {
+      throw new Error(response ? response.error : 'No response from background worker');
+    }
+    return response.shortUrl;
+  }
+
+  /**
+   * Send a copied or exported link to the background worker for the history popup
+   * History is best effort: failures are logged, never shown to the user
+   */
+  function recordHistory({ url, kind, mode = null, exportFormat = null, slideId = null }) {
+    if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
+      return;
+    }
+    
+    const resolvedSlideId = slideId || getCurrentSlideId();
+    const slide = getFilmstripSlides().find(item => item.slideId === resolvedSlideId);
+    const entry = {
+      url,
+      kind,
+      mode,
+      exportFormat,
+      presentationTitle: getPresentationTitle(),
+      slideTitle: slide ? getThumbnailText(slide.element) : '',
+      slideNumber: slide ? slide.index + 1 : null,
+      timestamp: Date.now()
+    };
+    
+    try {
+      chrome.runtime.sendMessage({ type: 'RECORD_HISTORY', entry })
+        .catch(error => log('❌ Error recording history:', error));
+    } catch (error) {
+      // Extension was reloaded or updated while this page stayed open
+      log('❌ Error recording history:', error);
+    }
+  }
+
+  /**
+   * Copy one link per selected filmstrip slide as a list, in the user's format
+   */
+  async function copySelectedSlideLinks(mode = 'EDIT') {
+    if (state.isShareIframe) {
+      throw new SlideActionError(t('errorSelectionEditorOnly'));
+    }
+    
+    let slideIds = getSelectedSlideIds();
+    if (slideIds.length === 0) {
+      slideIds = [getCurrentSlideId()];
+    }
+    
+    const slideLinks = slideIds.map(slideId => ({
+      url: buildSlideUrl({ mode, slideId }),
+      title: buildSlideLinkTitle(slideId)
+    }));
+    const copyFormat = state.settings.copyFormat;
+    
+    if (copyFormat === 'markdown') {
+      await writeClipboardText(slideLinks.map(link => `- [${escapeMarkdown(link.title)}](${link.url})`).join('\n'));
+    } else if (copyFormat === 'html') {
+      const html = `<ul>${slideLinks.map(link => `<li><a href="${escapeHtml(link.url)}">${escapeHtml(link.title)}</a></li>`).join('')}</ul>`;
+      const text = slideLinks.map(link => link.url).join('\n');
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          'text/html': new Blob([html], { type: 'text/html' }),
+          'text/plain': new Blob([text], { type: 'text/plain' })
+        })
+      ]);
+    } else {
+      await writeClipboardText(slideLinks.map(link => link.url).join('\n'));
+    }
+    
+    showLinkCopiedTooltip(slideLinks.length === 1 ? t('linkCopied') : t('linksCopied', slideLinks.length));
+    log('✅ Selected slide links copied successfully:', slideLinks.length);
+    slideIds.forEach((slideId, index) => recordHistory({ url: slideLinks[index].url, kind: 'link', mode, slideId }));
+    
+    return slideLinks.map(link => link.url).join('\n');
+  }
+
+  /**
+   * Copy the PNG export of a slide to the clipboard, ready to paste into chats and docs
+   */
+  async function copySlideImageToClipboard(slideId = getCurrentSlideId()) {
+    if (state.isShareIframe) {
+      throw new SlideActionError(t('errorImageEditorOnly'));
+    }
+    
+    let fetchError = null;
+    
+    // Hand the clipboard a pending image so the write starts while the click still counts as a user gesture
+    const imagePromise = fetchSlideExport(slideId, 'png')
+      .then(blob => (blob.type === 'image/png' ? blob : new Blob([blob], { type: 'image/png' })))
+      .catch(error => {
+        fetchError = error;
+        throw error;
+      });
+    
+    try {
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': imagePromise })]);
+    } catch (error) {
+      if (fetchError) {
+        throw fetchError instanceof SlideActionError
+          ? fetchError
+          : new SlideActionError(t('errorImageDownload'), fetchError);
+      }
+      throw new SlideActionError(t('errorImageClipboard'), error);
+    }
+    
+    showLinkCopiedTooltip(t('imageCopied'));
+    log('✅ Slide image copied successfully:', slideId);
+    recordHistory({ url: buildSlideUrl({ exportFormat: 'png', slideId }), kind: 'image', slideId });
+    
+    return null;
+  }
+
+  /**
+   * Copy a slide's speaker notes (`kind` 'notes') or text boxes ('slide') as plain text or Markdown,
+   * optionally after a titled link to the slide
+   */
+  async function copySlideTextToClipboard(kind, slideId = getCurrentSlideId()) {
+    if (state.isShareIframe) {
+      throw new SlideActionError(t('errorEditorOnly'));
+    }
+    
+    if (kind === 'notes') {
+      const text = formatSlideText(getSpeakerNotesLines(slideId), slideId);
+      try {
+        await writeClipboardText(text);
+      } catch (error) {
+        throw new SlideActionError(t('errorTextClipboard'), error);
+      }
+      showLinkCopiedTooltip(t('speakerNotesCopied'));
+      log('✅ Speaker notes copied successfully:', slideId);
+      recordHistory({ url: buildSlideUrl({ slideId }), kind: 'notes', slideId });
+      return null;
+    }
+    
+    let fetchError = null;
+    
+    // Like copying an image: hand the clipboard a pending text so the click still counts as a user gesture
+    const textPromise = fetchSlideTextLines(slideId)
+      .then(lines => new Blob([formatSlideText(lines, slideId)], { type: 'text/plain' }))
+      .catch(error => {
+        fetchError = error;
+        throw error;
+      });
+    
+    try {
+      await navigator.clipboard.write([new ClipboardItem({ 'text/plain': textPromise })]);
+    } catch (error) {
+      if (fetchError) {
+        throw fetchError instanceof SlideActionError
+          ? fetchError
+          : new SlideActionError(t('errorSlideTextDownload'), fetchError);
+      }
+      throw new SlideActionError(t('errorTextClipboard'), error);
+    }
+    
+    showLinkCopiedTooltip(t('slideTextCopied'));
+    log('✅ Slide text copied successfully:', slideId);
+    recordHistory({ url: buildSlideUrl({ slideId }), kind: 'text', slideId });
+    return null;
+  }
+
+  /**
+   * Read the speaker notes panel, which only ever shows the current slide's notes
+   */
+  function getSpeakerNotesLines(slideId) {
+    if (slideId !== getCurrentSlideId()) {
+      throw new SlideActionError(t('errorSpeakerNotesOtherSlide'));
+    }
+    
+    const notesPanel = selectors.find('speakerNotes');
+    if (!notesPanel || notesPanel.getClientRects().length === 0) {
+      if (!notesPanel && state.viewType === 'editor') {
+        selectors.reportMissing('speakerNotes');
+      }
+      throw new SlideActionError(t('errorSpeakerNotesHidden'));
+    }
+    
+    const lines = getTextLines(notesPanel);
+    if (lines.length === 0) {
+      throw new SlideActionError(t('errorNoSpeakerNotes'));
+    }
+    return lines;
+  }
+
+  /**
+   * Get a slide's text from the plain text export, which includes every text box and table
+   */
+  async function fetchSlideTextLines(slideId) {
+    const blob = await fetchSlideExport(slideId, 'txt');
+    const lines = (await blob.text())
+      .replace(/^\uFEFF/, '')
+      .split(/\r?\n/)
+      .map(cleanTextLine)
+      .filter(Boolean);
+    
+    if (lines.length === 0) {
+      throw new SlideActionError(t('errorNoSlideText'));
+    }
+    return lines;
+  }
+
+  /**
+   * Get the lines of text shown in an element
+   * Slides draws text as SVG, one <text> element per line; other markup falls back to innerText
+   */
+  function getTextLines(element) {
+    const textElements = [...element.querySelectorAll('text')];
+    const lines = textElements.length > 0
+      ? textElements.map(textElement => textElement.textContent)
+      : element.innerText.split('\n');
+    return lines.map(cleanTextLine).filter(Boolean);
+  }
+
+  /**
+   * Drop the zero-width and non-breaking spaces Slides puts in its text, and trailing whitespace
+   */
+  function cleanTextLine(line) {
+    return line.replace(/[\u200B-\u200D\u2060]/g, '').replace(/\u00A0/g, ' ').trimEnd();
+  }
+
+  /**
+   * Join text lines in the user's text copy format, after a titled slide link if enabled
+   */
+  function formatSlideText(lines, slideId) {
+    const { format, includeLink } = state.settings.textCopy;
+    const blocks = [];
+    
+    if (includeLink) {
+      const url = buildSlideUrl({ slideId });
+      const title = buildSlideLinkTitle(slideId);
+      blocks.push(format === 'markdown' ? `[${escapeMarkdown(title)}](${url})` : `${title}\n${url}`);
+    }
+    
+    blocks.push(format === 'markdown' ? toMarkdownParagraphs(lines) : lines.join('\n'));
+    return blocks.join('\n\n');
+  }
+
+  /**
+   * Turn text lines into Markdown: bulleted lines become list items, other lines paragraphs
+   */
+  function toMarkdownParagraphs(lines) {
+    const blocks = [];
+    let inList = false;
+    
+    for (const line of lines) {
+      const item = line.replace(/^\s*[•●◦○▪■‣⁃–*-]\s+/, '- ');
+      const isListItem = /^(- |\d+[.)] )/.test(item.trimStart());
+      
+      if (isListItem && inList) {
+        blocks[blocks.length - 1] += `\n${item.trimStart()}`;
+      } else {
+        blocks.push(item.trimStart());
+      }
+      inList = isListItem;
+    }
+    
+    return blocks.join('\n\n');
+  }
+
+  /**
+   * Copy a slide link as plain URL, rich HTML anchor or Markdown, per settings
+   */
+  async function copyLinkToClipboard(url, title = null) {
+    const copyFormat = state.settings.copyFormat;
+    
+    if (copyFormat === 'url') {
+      await writeClipboardText(url);
+      return;
+    }
+    
+    const linkTitle = title || buildSlideLinkTitle();
+    
+    if (copyFormat === 'markdown') {
+      await writeClipboardText(`[${escapeMarkdown(linkTitle)}](${url})`);
+      return;
+    }
+    
+    // Rich text: apps that understand HTML paste a titled link, others get the URL
+    const html = `<a href="${escapeHtml(url)}">${escapeHtml(linkTitle)}</a>`;
+    await navigator.clipboard.write([
+      new ClipboardItem({
+        'text/html': new Blob([html], { type: 'text/html' }),
+        'text/plain': new Blob([url], { type: 'text/plain' })
+      })
+    ]);
+  }
+
+  /**
+   * Write plain text to the clipboard
+   * Embedded viewers run in third-party iframes that may block the async clipboard API,
+   * so fall back to execCommand, which the clipboardWrite permission allows
+   */
+  async function writeClipboardText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (error) {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.setAttribute('readonly', '');
+      textarea.style.cssText = 'position: fixed !important; top: -1000px !important; opacity: 0 !important;';
+      document.body.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      
+      if (!copied) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Escape text for use inside HTML
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Escape text for use inside a Markdown link label
+   */
+  function escapeMarkdown(text) {
+    return String(text).replace(/([\\\[\]])/g, '\\$1');
+  }
+
+  /**
+   * Open a Google-style modal dialog, replacing any open one
+   * Returns the dialog body and action bar to fill in, plus a close function
+   */
+  function openSlideDialog({ title, onClose = null }) {
+    closeSlideDialog();
+    
+    const overlay = document.createElement('div');
+    overlay.id = 'slide-url-copier-dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'scu-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'slide-url-copier-dialog-title');
+    dialog.dir = SlideUrlCopierI18n.getDirection();
+    
+    const heading = document.createElement('h2');
+    heading.id = 'slide-url-copier-dialog-title';
+    heading.className = 'scu-dialog-title';
+    heading.textContent = title;
+    
+    const body = document.createElement('div');
+    const actions = document.createElement('div');
+    actions.className = 'scu-dialog-actions';
+    
+    dialog.append(heading, body, actions);
+    overlay.appendChild(dialog);
+    
+    const close = () => {
+      if (onClose) {
+        onClose();
+      }
+      overlay.remove();
+    };
+    overlay.closeDialog = close;
+    
+    // Keep typing in the dialog from triggering Slides shortcuts
+    overlay.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Escape') {
+        close();
+      }
+    });
+    
+    overlay.addEventListener('mousedown', (event) => {
+      if (event.target === overlay) {
+        close();
+      }
+    });
+    
+    document.body.appendChild(overlay);
+    
+    return { dialog, body, actions, close };
+  }
+
+  /**
+   * Close the open slide dialog, if any
+   */
+  function closeSlideDialog() {
+    const existingOverlay = document.getElementById('slide-url-copier-dialog-overlay');
+    if (existingOverlay) {
+      existingOverlay.closeDialog();
+    }
+  }
+
+  /**
+   * Create a titled group of dialog controls
+   */
+  function createDialogField(legendText) {
+    const field = document.createElement('fieldset');
+    field.className = 'scu-dialog-field';
+    
+    const legend = document.createElement('legend');
+    legend.className = 'scu-dialog-legend';
+    legend.textContent = legendText;
+    
+    field.appendChild(legend);
+    return field;
+  }
+
+  /**
+   * Create a labelled radio button or checkbox for a dialog
+   */
+  function createDialogChoice({ type = 'radio', name, value = '', text, checked = false, disabled = false }) {
+    const label = document.createElement('label');
+    label.className = 'scu-dialog-choice';
+    
+    const input = document.createElement('input');
+    input.type = type;
+    input.name = name;
+    input.value = value;
+    input.checked = checked;
+    input.disabled = disabled;
+    
+    label.append(input, document.createTextNode(text));
+    return { label, input };
+  }
+
+  /**
+   * Create a dialog action button
+   */
+  function createDialogButton(text, { primary = false } = {}) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = primary ? 'scu-dialog-button primary' : 'scu-dialog-button';
+    button.textContent = text;
+    return button;
+  }
+
+  /**
+   * Open the multi-slide export dialog (range or selection, PDF or ZIP of PNGs)
+   */
+  function openExportDialog() {
+    const slides = getFilmstripSlides();
+    const selectedSlideIds = getSelectedSlideIds();
+    const currentIndex = slides.findIndex(slide => slide.slideId === getCurrentSlideId());
+    let abortController = null;
+    
+    const { body, actions, close } = openSlideDialog({
+      title: t('exportDialogTitle'),
+      onClose: () => {
+        if (abortController) {
+          abortController.abort();
+        }
+      }
+    });
+    
+    // Which slides
+    const slidesField = createDialogField(t('exportSlidesField'));
+    const rangeChoice = createDialogChoice({ name: 'scu-export-slides', value: 'range', text: t('exportRange'), checked: selectedSlideIds.length < 2 });
+    const rangeInput = document.createElement('input');
+    rangeInput.type = 'text';
+    rangeInput.className = 'scu-dialog-input';
+    rangeInput.placeholder = t('exportRangePlaceholder');
+    rangeInput.value = slides.length > 0 ? `${currentIndex + 1 || 1}-${slides.length}` : '';
+    rangeInput.addEventListener('focus', () => {
+      rangeChoice.input.checked = true;
+    });
+    const selectionChoice = createDialogChoice({
+      name: 'scu-export-slides',
+      value: 'selection',
+      text: t('exportSelectedSlides', selectedSlideIds.length),
+      checked: selectedSlideIds.length >= 2,
+      disabled: selectedSlideIds.length === 0
+    });
+    slidesField.append(rangeChoice.label, rangeInput, selectionChoice.label);
+    
+    // Output format
+    const formatField = createDialogField(t('exportFormatField'));
+    const pdfChoice = createDialogChoice({ name: 'scu-export-format', value: 'pdf', text: t('exportFormatPdf'), checked: true });
+    const zipChoice = createDialogChoice({ name: 'scu-export-format', value: 'zip', text: t('exportFormatZip') });
+    formatField.append(pdfChoice.label, zipChoice.label);
+    
+    const progress = document.createElement('progress');
+    progress.className = 'scu-dialog-progress';
+    progress.hidden = true;
+    
+    const status = document.createElement('div');
+    status.className = 'scu-dialog-status';
+    status.setAttribute('role', 'status');
+    
+    body.append(slidesField, formatField, progress, status);
+    
+    const cancelButton = createDialogButton(t('cancelButton'));
+    const exportButton = createDialogButton(t('exportButton'), { primary: true });
+    actions.append(cancelButton, exportButton);
+    
+    const setStatus = (message, isError = false) => {
+      status.textContent = message;
+      status.classList.toggle('error', isError);
+    };
+    
+    const setRunning = (running) => {
+      exportButton.disabled = running;
+      progress.hidden = !running;
+      for (const input of [rangeChoice.input, rangeInput, selectionChoice.input, pdfChoice.input, zipChoice.input]) {
+        input.disabled = running || (input === selectionChoice.input && selectedSlideIds.length === 0);
+      }
+    };
+    
+    cancelButton.addEventListener('click', () => {
+      if (abortController) {
+        // Cancel the running export but keep the dialog open
+        abortController.abort();
+      } else {
+        close();
+      }
+    });
+    
+    exportButton.addEventListener('click', async () => {
+      let slideIds;
+      try {
+        slideIds = selectionChoice.input.checked
+          ? selectedSlideIds
+          : parseSlideRange(rangeInput.value, slides.length).map(index => slides[index].slideId);
+      } catch (error) {
+        setStatus(error.message, true);
+        return;
+      }
+      
+      const format = zipChoice.input.checked ? 'zip' : 'pdf';
+      abortController = new AbortController();
+      setRunning(true);
+      
+      try {
+        const bundle = await exportSlideBundle(slideIds, format, {
+          signal: abortController.signal,
+          onProgress: (done, total) => {
+            progress.max = total;
+            progress.value = done;
+            setStatus(t('exportProgress', Math.min(done + 1, total), total));
+          }
+        });
+        
+        downloadBlob(bundle.blob, bundle.fileName);
+        abortController = null;
+        close();
+        showLinkCopiedTooltip(t('exportDone', slideIds.length, format.toUpperCase()));
+        log('✅ Slide bundle exported successfully:', bundle.fileName);
+      } catch (error) {
+        abortController = null;
+        setRunning(false);
+        
+        if (error.name === 'AbortError') {
+          setStatus(t('exportCancelled'));
+        } else {
+          log('❌ Error exporting slides:', error);
+          setStatus(error.message, true);
+        }
+      }
+    });
+    
+    exportButton.focus();
+  }
+
+  /**
+   * Open the "Copy link with options" dialog for presentation, embed and comment links
+   * The last-used choices are remembered per device
+   */
+  async function openLinkOptionsDialog() {
+    const { linkOptions } = await SlideUrlCopierSettings.loadLocal({ linkOptions: LINK_OPTIONS_DEFAULTS });
+    const choices = { ...LINK_OPTIONS_DEFAULTS, ...linkOptions };
+    
+    const { body, actions, close } = openSlideDialog({ title: t('linkOptionsDialogTitle') });
+    
+    // Link type
+    const typeField = createDialogField(t('linkOptionsOpenIn'));
+    const typeChoices = [
+      { value: 'PRESENT', text: t('linkOptionsPresent') },
+      { value: 'EMBED', text: t('linkOptionsEmbed') },
+      { value: 'EDIT', text: t('linkOptionsEdit') }
+    ].map(type => createDialogChoice({ name: 'scu-link-type', value: type.value, text: type.text, checked: choices.mode === type.value }));
+    typeChoices.forEach(choice => typeField.appendChild(choice.label));
+    
+    // Slideshow playback options
+    const playback = createPlaybackFields(choices);
+    const playbackField = playback.field;
+    
+    // Comment thread (editor links)
+    const commentField = createDialogField(t('linkOptionsComment'));
+    const commentInput = document.createElement('input');
+    commentInput.type = 'text';
+    commentInput.className = 'scu-dialog-input';
+    commentInput.placeholder = t('linkOptionsCommentPlaceholder');
+    commentField.appendChild(commentInput);
+    
+    const status = document.createElement('div');
+    status.className = 'scu-dialog-status';
+    status.setAttribute('role', 'status');
+    
+    body.append(typeField, playbackField, commentField, status);
+    
+    const getSelectedMode = () => typeChoices.find(choice => choice.input.checked).input.value;
+    
+    // Only show the options that apply to the chosen link type
+    const updateVisibleFields = () => {
+      const mode = getSelectedMode();
+      playbackField.hidden = mode === 'EDIT';
+      commentField.hidden = mode !== 'EDIT';
+    };
+    typeChoices.forEach(choice => choice.input.addEventListener('change', updateVisibleFields));
+    updateVisibleFields();
+    
+    const cancelButton = createDialogButton(t('cancelButton'));
+    const copyButton = createDialogButton(t('copyLinkButton'), { primary: true });
+    actions.append(cancelButton, copyButton);
+    
+    cancelButton.addEventListener('click', close);
+    
+    copyButton.addEventListener('click', async () => {
+      const mode = getSelectedMode();
+      const params = {};
+      
+      if (mode === 'EDIT') {
+        const commentId = parseCommentId(commentInput.value);
+        if (commentInput.value.trim() && !commentId) {
+          status.textContent = t('errorInvalidComment');
+          status.classList.add('error');
+          return;
+        }
+        params.disco = commentId;
+      } else {
+        Object.assign(params, playback.getParams());
+      }
+      
+      const updatedChoices = { mode, ...playback.getChoices() };
+      
+      try {
+        const url = buildSlideUrl({ mode, params });
+        await copyLinkToClipboard(url);
+        close();
+        showLinkCopiedTooltip(t('linkCopied'));
+        log('✅ Link with options copied successfully:', url);
+        recordHistory({ url, kind: 'link', mode });
+        
+        await SlideUrlCopierSettings.saveLocal({ linkOptions: updatedChoices });
+      } catch (error) {
+        log('❌ Error copying link with options:', error);
+        status.textContent = getErrorTooltipMessage(error);
+        status.classList.add('error');
+      }
+    });
+    
+    copyButton.focus();
+  }
+
+  /**
+   * Create the slideshow playback controls shared by the link and embed dialogs
+   * Maps to the start, loop and delayms URL parameters
+   */
+  function createPlaybackFields(choices) {
+    const field = createDialogField(t('playbackField'));
+    const startChoice = createDialogChoice({ type: 'checkbox', name: 'scu-playback-start', text: t('playbackStart'), checked: choices.start });
+    const loopChoice = createDialogChoice({ type: 'checkbox', name: 'scu-playback-loop', text: t('playbackLoop'), checked: choices.loop });
+    
+    const delayLabel = document.createElement('label');
+    delayLabel.className = 'scu-dialog-choice';
+    const delaySelect = document.createElement('select');
+    delaySelect.className = 'scu-dialog-input';
+    for (const seconds of [1, 2, 3, 5, 10, 15, 30, 60]) {
+      const delayOption = document.createElement('option');
+      delayOption.value = String(seconds * 1000);
+      delayOption.textContent = seconds === 1 ? t('delayOneSecond') : t('delaySeconds', seconds);
+      delayOption.selected = Number(delayOption.value) === choices.delayms;
+      delaySelect.appendChild(delayOption);
+    }
+    delayLabel.append(document.createTextNode(t('playbackDelay')), delaySelect);
+    
+    field.append(startChoice.label, loopChoice.label, delayLabel);
+    
+    const getChoices = () => ({
+      start: startChoice.input.checked,
+      loop: loopChoice.input.checked,
+      delayms: Number(delaySelect.value)
+    });
+    
+    const getParams = () => {
+      const { start, loop, delayms } = getChoices();
+      return { start: String(start), loop: String(loop), delayms: String(delayms) };
+    };
+    
+    return { field, getChoices, getParams };
+  }
+
+  /**
+   * Open the embed code dialog: size and playback options for an <iframe> starting on the current slide
+   * The last-used choices are remembered per device
+   */
+  async function openEmbedDialog() {
+    const { embedOptions } = await SlideUrlCopierSettings.loadLocal({ embedOptions: EMBED_OPTIONS_DEFAULTS });
+    const choices = { ...EMBED_OPTIONS_DEFAULTS, ...embedOptions };
+    
+    const { body, actions, close } = openSlideDialog({ title: t('embedDialogTitle') });
+    
+    // Player size, with the same presets as Slides' own "Publish to the web"
+    const sizeField = createDialogField(t('embedSizeField'));
+    const sizeSelect = document.createElement('select');
+    sizeSelect.className = 'scu-dialog-input';
+    for (const size of EMBED_SIZES) {
+      const sizeOption = document.createElement('option');
+      sizeOption.value = `${size.width}x${size.height}`;
+      sizeOption.textContent = `${size.name} (${size.width} × ${size.height})`;
+      sizeOption.selected = size.width === choices.width && size.height === choices.height;
+      sizeSelect.appendChild(sizeOption);
+    }
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = t('embedSizeCustom');
+    customOption.selected = !EMBED_SIZES.some(size => size.width === choices.width && size.height === choices.height);
+    sizeSelect.appendChild(customOption);
+    
+    const customSize = document.createElement('div');
+    customSize.className = 'scu-dialog-choice';
+    const widthInput = createSizeInput(choices.width, t('embedWidth'));
+    const heightInput = createSizeInput(choices.height, t('embedHeight'));
+    customSize.append(widthInput, document.createTextNode('×'), heightInput);
+    
+    const updateSize = () => {
+      customSize.hidden = sizeSelect.value !== 'custom';
+      if (sizeSelect.value !== 'custom') {
+        const [width, height] = sizeSelect.value.split('x');
+        widthInput.value = width;
+        heightInput.value = height;
+      }
+    };
+    sizeSelect.addEventListener('change', updateSize);
+    updateSize();
+    sizeField.append(sizeSelect, customSize);
+    
+    const playback = createPlaybackFields(choices);
+    
+    const preview = document.createElement('textarea');
+    preview.className = 'scu-dialog-input';
+    preview.rows = 4;
+    preview.readOnly = true;
+    preview.setAttribute('aria-label', t('embedCodeLabel'));
+    
+    const status = document.createElement('div');
+    status.className = 'scu-dialog-status';
+    status.setAttribute('role', 'status');
+    
+    body.append(sizeField, playback.field, preview, status);
+    
+    const getEmbedCode = () => buildEmbedCode({
+      width: Number(widthInput.value),
+      height: Number(heightInput.value),
+      params: playback.getParams()
+    });
+    
+    const updatePreview = () => {
+      try {
+        preview.value = getEmbedCode();
+      } catch (error) {
+        preview.value = '';
+      }
+    };
+    body.addEventListener('input', updatePreview);
+    body.addEventListener('change', updatePreview);
+    updatePreview();
+    
+    const cancelButton = createDialogButton(t('cancelButton'));
+    const copyButton = createDialogButton(t('embedCopyButton'), { primary: true });
+    actions.append(cancelButton, copyButton);
+    
+    cancelButton.addEventListener('click', close);
+    
+    copyButton.addEventListener('click', async () => {
+      const width = Number(widthInput.value);
+      const height = Number(heightInput.value);
+      
+      if (!Number.isInteger(width) || !Number.isInteger(height) || width < 100 || height < 100) {
+        status.textContent = t('errorEmbedSize');
+        status.classList.add('error');
+        return;
+      }
+      
+      try {
+        const embedCode = getEmbedCode();
+        await writeClipboardText(embedCode);
+        close();
+        showLinkCopiedTooltip(t('embedCodeCopied'));
+        log('✅ Embed code copied successfully:', embedCode);
+        recordHistory({ url: buildSlideUrl({ mode: 'EMBED', params: playback.getParams() }), kind: 'embed', mode: 'EMBED' });
+        
+        await SlideUrlCopierSettings.saveLocal({ embedOptions: { width, height, ...playback.getChoices() } });
+      } catch (error) {
+        log('❌ Error copying embed code:', error);
+        status.textContent = getErrorTooltipMessage(error);
+        status.classList.add('error');
+      }
+    });
+    
+    copyButton.focus();
+  }
+
+  /**
+   * Create a numeric input for the custom embed size
+   */
+  function createSizeInput(value, label) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '100';
+    input.step = '1';
+    input.value = String(value);
+    input.className = 'scu-dialog-input';
+    input.setAttribute('aria-label', label);
+    return input;
+  }
+
+  /**
+   * Build ready-to-paste <iframe> HTML for the current slide
+   */
+  function buildEmbedCode({ width, height, params }) {
+    const url = buildSlideUrl({ mode: 'EMBED', params });
+    return `<iframe src="${escapeHtml(url)}" frameborder="0" width="${width}" height="${height}" ` +
+      'allowfullscreen="true" mozallowfullscreen="true" webkitallowfullscreen="true"></iframe>';
+  }
+
+  /**
+   * Show a slide link as a QR code, big enough to scan from the audience, with download as PNG
+   * The code is generated locally by qr-code.js, so the link never leaves the browser
+   */
+  function openQrCodeDialog(url, slideId) {
+    const { body, actions, close } = openSlideDialog({ title: t('qrDialogTitle') });
+    
+    const canvas = renderQrCode(SlideQrCode.encode(url));
+    canvas.className = 'scu-dialog-qr-code';
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', url);
+    
+    const link = document.createElement('div');
+    link.className = 'scu-dialog-qr-url';
+    link.textContent = url;
+    
+    body.append(canvas, link);
+    
+    const closeButton = createDialogButton(t('closeButton'));
+    const downloadButton = createDialogButton(t('qrDownloadButton'), { primary: true });
+    actions.append(closeButton, downloadButton);
+    
+    closeButton.addEventListener('click', close);
+    downloadButton.addEventListener('click', () => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          downloadBlob(blob, `${sanitizeFileName(buildSlideLinkTitle(slideId))} - QR.png`);
+        }
+      }, 'image/png');
+    });
+    
+    downloadButton.focus();
+  }
+
+  /**
+   * Draw a QR code on a canvas, black on white with the standard four-module quiet zone
+   */
+  function renderQrCode({ size, modules }, { moduleSize = 12, border = 4 } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.width = (size + border * 2) * moduleSize;
+    canvas.height = canvas.width;
+    
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#000000';
+    modules.forEach((row, y) => {
+      row.forEach((isDark, x) => {
+        if (isDark) {
+          context.fillRect((x + border) * moduleSize, (y + border) * moduleSize, moduleSize, moduleSize);
+        }
+      });
+    });
+    
+    return canvas;
+  }
+
+  /**
+   * Open the "Send current slide to…" dialog: destination, link type and whether to attach the slide image
+   * Destinations are set up on the options page; the last-used choices are remembered per device
+   */
+  async function openSendDialog(slideId = null) {
+    const { destinations } = state.settings;
+    const { sendOptions } = await SlideUrlCopierSettings.loadLocal({ sendOptions: SEND_OPTIONS_DEFAULTS });
+    const choices = { ...SEND_OPTIONS_DEFAULTS, ...sendOptions };
+    const targetSlideId = slideId || getCurrentSlideId();
+    
+    const { body, actions, close } = openSlideDialog({ title: t('sendDialogTitle') });
+    
+    const cancelButton = createDialogButton(t('cancelButton'));
+    actions.appendChild(cancelButton);
+    cancelButton.addEventListener('click', close);
+    
+    if (destinations.length === 0) {
+      const message = document.createElement('div');
+      message.className = 'scu-dialog-status';
+      message.textContent = t('sendNoDestinations');
+      body.appendChild(message);
+      
+      const optionsButton = createDialogButton(t('sendOpenOptions'), { primary: true });
+      actions.appendChild(optionsButton);
+      optionsButton.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'OPEN_OPTIONS_PAGE' });
+        close();
+      });
+      optionsButton.focus();
+      return;
+    }
+    
+    // Destination, preselecting the last one used
+    const selectedId = destinations.some(destination => destination.id === choices.destinationId)
+      ? choices.destinationId
+      : destinations[0].id;
+    const destinationField = createDialogField(t('sendDestinationField'));
+    const destinationChoices = destinations.map(destination => createDialogChoice({
+      name: 'scu-send-destination',
+      value: destination.id,
+      text: getDestinationName(destination),
+      checked: destination.id === selectedId
+    }));
+    destinationChoices.forEach(choice => destinationField.appendChild(choice.label));
+    
+    // Link type and slide image
+    const messageField = createDialogField(t('sendMessageField'));
+    const modeLabel = document.createElement('label');
+    modeLabel.className = 'scu-dialog-choice';
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'scu-dialog-input';
+    for (const sendMode of LINK_MODE_CHOICES) {
+      const modeOption = document.createElement('option');
+      modeOption.value = sendMode.value;
+      modeOption.textContent = sendMode.text;
+      modeOption.selected = sendMode.value === choices.mode;
+      modeSelect.appendChild(modeOption);
+    }
+    modeLabel.append(document.createTextNode(t('linkTypeField')), modeSelect);
+    const thumbnailChoice = createDialogChoice({
+      type: 'checkbox',
+      name: 'scu-send-thumbnail',
+      text: t('sendIncludeThumbnail'),
+      checked: choices.includeThumbnail
+    });
+    messageField.append(modeLabel, thumbnailChoice.label);
+    
+    const status = document.createElement('div');
+    status.className = 'scu-dialog-status';
+    status.setAttribute('role', 'status');
+    
+    body.append(destinationField, messageField, status);
+    
+    const getSelectedDestination = () => {
+      const checkedChoice = destinationChoices.find(choice => choice.input.checked);
+      return destinations.find(destination => destination.id === checkedChoice.input.value);
+    };
+    
+    // Slack and email messages cannot carry an image
+    const updateThumbnailChoice = () => {
+      const destinationType = SlideUrlCopierSettings.DESTINATION_TYPES
+        .find(type => type.id === getSelectedDestination().type);
+      thumbnailChoice.input.disabled = !destinationType.supportsThumbnail;
+    };
+    destinationChoices.forEach(choice => choice.input.addEventListener('change', updateThumbnailChoice));
+    updateThumbnailChoice();
+    
+    const sendButton = createDialogButton(t('sendButton'), { primary: true });
+    actions.appendChild(sendButton);
+    
+    sendButton.addEventListener('click', async () => {
+      const destination = getSelectedDestination();
+      const mode = modeSelect.value;
+      const includeThumbnail = thumbnailChoice.input.checked && !thumbnailChoice.input.disabled;
+      
+      sendButton.disabled = true;
+      status.textContent = t('sendSending');
+      status.classList.remove('error');
+      
+      try {
+        const result = await sendSlideToDestination(destination, { slideId: targetSlideId, mode, includeThumbnail });
+        close();
+        
+        if (result.openUrl) {
+          showLinkCopiedTooltip(t('sendEmailOpened'));
+        } else if (result.thumbnailDropped) {
+          showLinkCopiedTooltip(t('sentWithoutThumbnail', getDestinationName(destination)));
+        } else {
+          showLinkCopiedTooltip(t('sentToDestination', getDestinationName(destination)));
+        }
+        log('✅ Slide sent successfully:', destination.type);
+        
+        await SlideUrlCopierSettings.saveLocal({
+          sendOptions: { destinationId: destination.id, mode, includeThumbnail: thumbnailChoice.input.checked }
+        });
+      } catch (error) {
+        log('❌ Error sending slide:', error);
+        status.textContent = t('sendFailed', getDestinationName(destination));
+        status.classList.add('error');
+        sendButton.disabled = false;
+      }
+    });
+    
+    sendButton.focus();
+  }
+
+  /**
+   * Name of a destination as shown to the user, falling back to its type
+   */
+  function getDestinationName(destination) {
+    const destinationType = SlideUrlCopierSettings.DESTINATION_TYPES.find(type => type.id === destination.type);
+    return destination.name || destinationType.name;
+  }
+
+  /**
+   * Send a slide link to a destination through the background worker, which holds the webhook permissions
+   * Email destinations come back as a mailto: URL that is opened here
+   */
+  async function sendSlideToDestination(destination, { slideId, mode, includeThumbnail }) {
+    const slide = getFilmstripSlides().find(item => item.slideId === slideId);
+    const payload = {
+      presentationTitle: getPresentationTitle() || 'Google Slides',
+      slideTitle: getSlideLabel(slideId),
+      slideNumber: slide ? slide.index + 1 : null,
+      url: buildSlideUrl({ mode, slideId }),
+      mode,
+      modeName: LINK_MODE_CHOICES.find(sendMode => sendMode.value === mode).text,
+      thumbnail: includeThumbnail ? await createSlideThumbnail(slideId) : null
+    };
+    
+    const response = await chrome.runtime.sendMessage({ type: 'SEND_TO_DESTINATION', destinationId: destination.id, payload });
+    if (!response || response.error) {
+      throw new Error(response ? response.error : 'No response from background worker');
+    }
+    
+    if (response.openUrl) {
+      // A link click hands mailto: to the mail app without leaving the presentation
+      const link = document.createElement('a');
+      link.href = response.openUrl;
+      link.click();
+    }
+    
+    return response;
+  }
+
+  /**
+   * Export a slide as PNG and scale it down to a data URL small enough to attach to a message
+   */
+  async function createSlideThumbnail(slideId) {
+    const bitmap = await createImageBitmap(await fetchSlideExport(slideId, 'png'));
+    const scale = Math.min(1, SEND_THUMBNAIL_WIDTH / bitmap.width);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * Open the deck outline dialog: a list with one titled link per slide, e.g. for a wiki index
+   */
+  async function openOutlineDialog() {
+    const { outlineOptions } = await SlideUrlCopierSettings.loadLocal({ outlineOptions: OUTLINE_OPTIONS_DEFAULTS });
+    const choices = { ...OUTLINE_OPTIONS_DEFAULTS, ...outlineOptions };
+    
+    const { body, actions, close } = openSlideDialog({ title: t('outlineDialogTitle') });
+    
+    const description = document.createElement('div');
+    description.className = 'scu-dialog-status';
+    description.textContent = t('outlineDescription');
+    
+    // Link type
+    const modeField = createDialogField(t('linkTypeField'));
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'scu-dialog-input';
+    for (const linkMode of LINK_MODE_CHOICES) {
+      const modeOption = document.createElement('option');
+      modeOption.value = linkMode.value;
+      modeOption.textContent = linkMode.text;
+      modeOption.selected = linkMode.value === choices.mode;
+      modeSelect.appendChild(modeOption);
+    }
+    modeField.appendChild(modeSelect);
+    
+    // Markdown or rich text
+    const formatField = createDialogField(t('exportFormatField'));
+    const formatChoices = [
+      { value: 'markdown', text: t('outlineFormatMarkdown') },
+      { value: 'html', text: t('outlineFormatHtml') }
+    ].map(format => createDialogChoice({ name: 'scu-outline-format', value: format.value, text: format.text, checked: choices.format === format.value }));
+    formatChoices.forEach(choice => formatField.appendChild(choice.label));
+    
+    // Which slides and how they're listed
+    const listField = createDialogField(t('outlineListField'));
+    const skipChoice = createDialogChoice({ type: 'checkbox', name: 'scu-outline-skip', text: t('outlineSkipSkipped'), checked: choices.skipSkipped });
+    const numberedChoice = createDialogChoice({ type: 'checkbox', name: 'scu-outline-numbered', text: t('outlineNumbered'), checked: choices.numbered });
+    listField.append(skipChoice.label, numberedChoice.label);
+    
+    const status = document.createElement('div');
+    status.className = 'scu-dialog-status';
+    status.setAttribute('role', 'status');
+    
+    body.append(description, modeField, formatField, listField, status);
+    
+    const cancelButton = createDialogButton(t('cancelButton'));
+    actions.appendChild(cancelButton);
+    cancelButton.addEventListener('click', close);
+    
+    const copyButton = createDialogButton(t('outlineCopyButton'), { primary: true });
+    actions.appendChild(copyButton);
+    copyButton.addEventListener('click', async () => {
+      const outlineChoices = {
+        mode: modeSelect.value,
+        format: formatChoices.find(choice => choice.input.checked).input.value,
+        skipSkipped: skipChoice.input.checked,
+        numbered: numberedChoice.input.checked
+      };
+      
+      try {
+        const count = await copyDeckOutline(outlineChoices);
+        close();
+        showLinkCopiedTooltip(t('outlineCopied', count));
+        log('✅ Deck outline copied successfully:', count);
+        await SlideUrlCopierSettings.saveLocal({ outlineOptions: outlineChoices });
+      } catch (error) {
+        log('❌ Error copying deck outline:', error);
+        status.textContent = getErrorTooltipMessage(error);
+        status.classList.add('error');
+      }
+    });
+    
+    copyButton.focus();
+  }
+
+  /**
+   * Copy a list of titled links to every slide in filmstrip order; returns the number of slides listed
+   */
+  async function copyDeckOutline({ mode, format, skipSkipped, numbered }) {
+    const slides = getFilmstripSlides()
+      .filter(slide => links.isValidSlideObjectId(slide.slideId))
+      .filter(slide => !skipSkipped || !selectors.matches('skippedFilmstripSlide', slide.element));
+    
+    if (slides.length === 0) {
+      selectors.reportMissing('filmstripSlide');
+      throw new SlideActionError(t('outlineNoSlides'));
+    }
+    
+    const entries = slides.map(slide => ({
+      url: buildSlideUrl({ mode, slideId: slide.slideId }),
+      title: getThumbnailText(slide.element) || t('slideNumber', slide.index + 1)
+    }));
+    
+    // Numbered entries count the listed slides, as Markdown and HTML lists renumber anyway
+    const getPrefix = (index) => (numbered ? `${index + 1}. ` : '- ');
+    const text = entries.map((entry, index) => `${getPrefix(index)}${entry.title} – ${entry.url}`).join('\n');
+    
+    if (format === 'html') {
+      const listTag = numbered ? 'ol' : 'ul';
+      const items = entries.map(entry => `<li><a href="${escapeHtml(entry.url)}">${escapeHtml(entry.title)}</a></li>`).join('');
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          'text/html': new Blob([`<${listTag}>${items}</${listTag}>`], { type: 'text/html' }),
+          'text/plain': new Blob([text], { type: 'text/plain' })
+        })
+      ]);
+    } else {
+      await writeClipboardText(
+        entries.map((entry, index) => `${getPrefix(index)}[${escapeMarkdown(entry.title)}](${entry.url})`).join('\n')
+      );
+    }
+    
+    return entries.length;
+  }
+
+  /**
+   * Open the follow along dialog: keep a pinned widget or the clipboard updated with the current slide link
+   * While follow along is on, the dialog can change its choices or stop it
+   */
+  async function openFollowAlongDialog() {
+    const { followAlongOptions } = await SlideUrlCopierSettings.loadLocal({ followAlongOptions: FOLLOW_ALONG_DEFAULTS });
+    const active = state.followAlong;
+    const choices = active
+      ? { target: active.target, mode: active.mode }
+      : { ...FOLLOW_ALONG_DEFAULTS, ...followAlongOptions };
+    
+    const { body, actions, close } = openSlideDialog({ title: t('followAlongDialogTitle') });
+    
+    const description = document.createElement('div');
+    description.className = 'scu-dialog-status';
+    description.textContent = t('followAlongDescription');
+    
+    // Where the link goes
+    const targetField = createDialogField(t('followAlongTargetField'));
+    const targetChoices = [
+      { value: 'widget', text: t('followAlongTargetWidget') },
+      { value: 'clipboard', text: t('followAlongTargetClipboard') }
+    ].map(target => createDialogChoice({ name: 'scu-follow-target', value: target.value, text: target.text, checked: choices.target === target.value }));
+    targetChoices.forEach(choice => targetField.appendChild(choice.label));
+    
+    // Link type
+    const modeField = createDialogField(t('linkTypeField'));
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'scu-dialog-input';
+    for (const linkMode of LINK_MODE_CHOICES) {
+      const modeOption = document.createElement('option');
+      modeOption.value = linkMode.value;
+      modeOption.textContent = linkMode.text;
+      modeOption.selected = linkMode.value === choices.mode;
+      modeSelect.appendChild(modeOption);
+    }
+    modeField.appendChild(modeSelect);
+    
+    body.append(description, targetField, modeField);
+    
+    const cancelButton = createDialogButton(t('cancelButton'));
+    actions.appendChild(cancelButton);
+    cancelButton.addEventListener('click', close);
+    
+    if (active) {
+      const stopButton = createDialogButton(t('followAlongStop'));
+      actions.appendChild(stopButton);
+      stopButton.addEventListener('click', () => {
+        stopFollowAlong();
+        close();
+      });
+    }
+    
+    const startButton = createDialogButton(active ? t('followAlongUpdate') : t('followAlongStart'), { primary: true });
+    actions.appendChild(startButton);
+    startButton.addEventListener('click', async () => {
+      const followAlongChoices = {
+        target: targetChoices.find(choice => choice.input.checked).input.value,
+        mode: modeSelect.value
+      };
+      close();
+      startFollowAlong(followAlongChoices);
+      await SlideUrlCopierSettings.saveLocal({ followAlongOptions: followAlongChoices });
+    });
+    
+    startButton.focus();
+  }
+
+  /**
+   * Start (or restart) follow along, updating on every slide-changed event
+   */
+  function startFollowAlong({ target, mode }) {
+    stopFollowAlong();
+    
+    const stopListening = onSlideEvent('slide-changed', updateFollowAlong);
+    state.followAlong = { target, mode, stopListening };
+    showFollowAlongWidget();
+    updateFollowAlong();
+    log('👣 Follow along started:', target, mode);
+  }
+
+  /**
+   * Stop follow along and remove its widget
+   */
+  function stopFollowAlong() {
+    if (!state.followAlong) {
+      return;
+    }
+    
+    state.followAlong.stopListening();
+    state.followAlong = null;
+    
+    const widget = document.getElementById('slide-url-copier-follow-widget');
+    if (widget) {
+      widget.remove();
+    }
+    log('👣 Follow along stopped');
+  }
+
+  /**
+   * Pin the follow along widget: current slide, its link, Copy and Stop
+   * It is shown for clipboard follow along too, so it's clear the clipboard is being replaced
+   */
+  function showFollowAlongWidget() {
+    const widget = document.createElement('div');
+    widget.id = 'slide-url-copier-follow-widget';
+    widget.dir = SlideUrlCopierI18n.getDirection();
+    widget.setAttribute('role', 'region');
+    widget.setAttribute('aria-label', t('followAlongDialogTitle'));
+    
+    const title = document.createElement('div');
+    title.className = 'scu-follow-title';
+    
+    const link = document.createElement('div');
+    link.className = 'scu-follow-url';
+    link.dir = 'ltr';
+    
+    const status = document.createElement('div');
+    status.className = 'scu-follow-status';
+    status.setAttribute('role', 'status');
+    
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'scu-follow-button';
+    copyButton.textContent = t('followAlongCopy');
+    copyButton.addEventListener('click', () => {
+      copyFollowAlongLink(link.textContent).catch(error => log('❌ Error copying follow along link:', error));
+    });
+    
+    const stopButton = document.createElement('button');
+    stopButton.type = 'button';
+    stopButton.className = 'scu-follow-button';
+    stopButton.textContent = t('followAlongStop');
+    stopButton.addEventListener('click', stopFollowAlong);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'scu-follow-buttons';
+    buttons.append(copyButton, stopButton);
+    
+    widget.append(title, link, status, buttons);
+    document.body.appendChild(widget);
+  }
+
+  /**
+   * Show the current slide's link in the widget, and copy it in clipboard mode
+   */
+  function updateFollowAlong() {
+    const widget = document.getElementById('slide-url-copier-follow-widget');
+    if (!state.followAlong || !widget) {
+      return;
+    }
+    
+    const title = widget.querySelector('.scu-follow-title');
+    const link = widget.querySelector('.scu-follow-url');
+    const status = widget.querySelector('.scu-follow-status');
+    
+    let url;
+    try {
+      url = buildSlideUrl({ mode: state.followAlong.mode });
+    } catch (error) {
+      title.textContent = t('followAlongTitle', t('currentSlide'));
+      link.textContent = '';
+      status.textContent = getErrorTooltipMessage(error);
+      return;
+    }
+    
+    title.textContent = t('followAlongTitle', getSlideLabel(getCurrentSlideId()) || t('currentSlide'));
+    link.textContent = url;
+    status.textContent = '';
+    
+    if (state.followAlong.target === 'clipboard') {
+      copyFollowAlongLink(url).catch(() => {
+        // Clipboard writes need page focus, which the presenter may have moved elsewhere
+        status.textContent = t('followAlongCopyFailed');
+      });
+    }
+  }
+
+  /**
+   * Copy a follow along link in the user's link format and confirm it in the widget
+   */
+  async function copyFollowAlongLink(url) {
+    if (!url) {
+      return;
+    }
+    
+    await copyLinkToClipboard(url, buildSlideLinkTitle());
+    
+    const status = document.querySelector('#slide-url-copier-follow-widget .scu-follow-status');
+    if (status) {
+      status.textContent = t('followAlongCopied');
+    }
+    log('✅ Follow along link copied:', url);
+  }
+
+  /**
+   * Extract a comment thread ID from a comment link ("...?disco=AAAA...") or a bare ID
+   */
+  function parseCommentId(text) {
+    const value = text.trim();
+    const linkMatch = value.match(/[?&#]disco=([\w-]+)/);
+    
+    if (linkMatch) {
+      return linkMatch[1];
+    }
+    
+    return /^[\w-]+$/.test(value) ? value : null;
+  }
+
+  /**
+   * Parse a slide range like "4-9, 12" into sorted, zero-based slide indices
+   */
+  function parseSlideRange(text, slideCount) {
+    const indices = new Set();
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+    
+    if (parts.length === 0) {
+      throw new Error(t('errorRangeEmpty'));
+    }
+    
+    for (const part of parts) {
+      const match = part.match(/^(\d+)\s*(?:[-–]\s*(\d+))?$/);
+      if (!match) {
+        throw new Error(t('errorRangeInvalid', part));
+      }
+      
+      const start = Number(match[1]);
+      const end = match[2] ? Number(match[2]) : start;
+      if (start < 1 || end < start || end > slideCount) {
+        throw new Error(t('errorRangeOutside', part, slideCount));
+      }
+      
+      for (let number = start; number <= end; number++) {
+        indices.add(number - 1);
+      }
+    }
+    
+    return [...indices].sort((a, b) => a - b);
+  }
+
+  /**
+   * Fetch the export of a single slide as a Blob
+   */
+  async function fetchSlideExport(slideId, exportFormat, { signal } = {}) {
+    const url = buildSlideUrl({ exportFormat, slideId });
+    const response = await fetch(url, { credentials: 'include', signal });
+    
+    if (!response.ok) {
+      throw new Error(t('errorExportHttp', response.status));
+    }
+    
+    const blob = await response.blob();
+    
+    // A sign-in or error page comes back as HTML instead of the file
+    if (blob.type.startsWith('text/html')) {
+      throw new Error(t('errorExportSignIn'));
+    }
+    
+    return blob;
+  }
+
+  /**
+   * Fetch several slides and bundle them into a single PDF or a ZIP of PNGs
+   */
+  async function exportSlideBundle(slideIds, format, { signal, onProgress = () => {} }) {
+    const slides = getFilmstripSlides();
+    const baseName = sanitizeFileName(getPresentationTitle() || 'Slides');
+    const pages = [];
+    
+    for (let i = 0; i < slideIds.length; i++) {
+      if (signal.aborted) {
+        throw new DOMException('Export cancelled', 'AbortError');
+      }
+      onProgress(i, slideIds.length);
+      
+      // PDF pages embed JPEG data directly; the ZIP keeps lossless PNGs
+      const blob = await fetchSlideExport(slideIds[i], format === 'pdf' ? 'jpeg' : 'png', { signal });
+      const data = new Uint8Array(await blob.arrayBuffer());
+      const slide = slides.find(item => item.slideId === slideIds[i]);
+      const slideNumber = slide ? slide.index + 1 : i + 1;
+      
+      if (format === 'pdf') {
+        const bitmap = await createImageBitmap(blob);
+        pages.push({ data, width: bitmap.width, height: bitmap.height });
+        bitmap.close();
+      } else {
+        pages.push({ name: `${baseName} - slide ${slideNumber}.png`, data });
+      }
+    }
+    
+    onProgress(slideIds.length, slideIds.length);
+    
+    if (format === 'pdf') {
+      return { blob: SlideBundleWriters.createPdfFromJpegs(pages), fileName: `${baseName}.pdf` };
+    }
+    
+    return { blob: SlideBundleWriters.createZip(pages), fileName: `${baseName}.zip` };
+  }
+
+  /**
+   * Remove characters that are not allowed in file names
+   */
+  function sanitizeFileName(name) {
+    return name.replace(/[\\/:*?"<>|]+/g, '_').trim().slice(0, 100) || 'Slides';
+  }
+
+  /**
+   * Save a Blob through a temporary download link
+   */
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the download time to start before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
   }
 
   /**
    * Show Google-style black tooltip with customizable message
    */
-  function showLinkCopiedTooltip(message = 'Link copied') {
+  function showLinkCopiedTooltip(message = t('linkCopied')) {
     // Remove any existing tooltip first
     const existingTooltip = document.getElementById('slide-url-copied-tooltip');
     if (existingTooltip) {
@@ -809,6 +3416,7 @@
     // Create the tooltip element
     const tooltip = document.createElement('div');
     tooltip.id = 'slide-url-copied-tooltip';
+    tooltip.dir = SlideUrlCopierI18n.getDirection();
     tooltip.textContent = message;
     
     // Apply Google-style tooltip styling
@@ -0,0 +1,132 @@
+// Google Slides Current Slide URL Copier - Send Destinations
+// Loaded by the background worker, which posts to incoming webhooks once their host permission is granted
+// Each webhook type formats the same slide payload for its service
+
+const SlideUrlCopierDestinations = (() => {
+  // Give up on an unresponsive webhook so the dialog can report the failure
+  const REQUEST_TIMEOUT_MS = 15000;
+
+  // Fields of a mailto: template that are replaced with the slide's details
+  const MAILTO_FIELDS = {
+    presentation: payload => payload.presentationTitle,
+    slide: payload => payload.slideTitle,
+    url: payload => payload.url,
+    mode: payload => payload.modeName
+  };
+
+  /**
+   * Request bodies per webhook type
+   * Payload: { presentationTitle, slideTitle, slideNumber, url, mode, modeName, thumbnail }
+   * slideTitle is '' when the slide isn't in the filmstrip; thumbnail is a PNG data URL or null
+   */
+  const FORMATTERS = {
+    // Slack incoming webhooks; Mattermost accepts the same format
+    slack: payload => ({
+      text: `*<${payload.url}|${escapeSlackText(payload.presentationTitle)}>*\n` +
+        [payload.slideTitle, payload.modeName].filter(Boolean).map(escapeSlackText).join(' · ')
+    }),
+
+    // Teams incoming webhooks and Workflows webhooks, as an Adaptive Card
+    teams: payload => ({
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', text: payload.presentationTitle, weight: 'Bolder', size: 'Medium', wrap: true },
+            ...(payload.slideTitle ? [{ type: 'TextBlock', text: payload.slideTitle, wrap: true }] : []),
+            ...(payload.thumbnail ? [{ type: 'Image', url: payload.thumbnail, altText: payload.slideTitle }] : [])
+          ],
+          actions: [{ type: 'Action.OpenUrl', title: payload.modeName, url: payload.url }]
+        }
+      }]
+    }),
+
+    // Any other service: all fields, plus `text` for services that only read that (e.g. Google Chat)
+    webhook: payload => ({
+      text: `${[payload.presentationTitle, payload.slideTitle].filter(Boolean).join(' – ')}\n${payload.url}`,
+      presentationTitle: payload.presentationTitle,
+      slideTitle: payload.slideTitle,
+      slideNumber: payload.slideNumber,
+      url: payload.url,
+      mode: payload.mode,
+      thumbnail: payload.thumbnail
+    })
+  };
+
+  /**
+   * Escape the characters Slack treats as markup in message text
+   */
+  function escapeSlackText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Fill in a mailto: template such as "mailto:team@example.com?subject={presentation}&body={url}"
+   */
+  function buildMailtoUrl(template, payload) {
+    return template.replace(/\{(\w+)\}/g, (match, field) => (
+      MAILTO_FIELDS[field] ? encodeURIComponent(MAILTO_FIELDS[field](payload) || '') : match
+    ));
+  }
+
+  /**
+   * POST a JSON body, rejecting on HTTP errors
+   */
+  async function postJson(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook request failed (HTTP ${response.status})`);
+    }
+  }
+
+  /**
+   * Whether a destination's target fits its type: a mailto: template for email, otherwise an http(s) URL
+   */
+  function isValidTarget(destination) {
+    return destination.type === 'email'
+      ? /^mailto:/i.test(destination.target)
+      : Boolean(SlideUrlCopierSettings.getOriginPattern(destination.target));
+  }
+
+  /**
+   * Send a slide to a destination
+   * Email returns the filled-in mailto: URL for the page to open; webhooks are posted here
+   * @returns {Promise<{openUrl?: string, thumbnailDropped?: boolean}>}
+   */
+  async function send(destination, payload) {
+    if (!isValidTarget(destination)) {
+      throw new Error(`Invalid target for destination "${destination.name}"`);
+    }
+
+    if (destination.type === 'email') {
+      return { openUrl: buildMailtoUrl(destination.target, payload) };
+    }
+
+    const format = FORMATTERS[destination.type];
+    try {
+      await postJson(destination.target, format(payload));
+      return { thumbnailDropped: false };
+    } catch (error) {
+      if (!payload.thumbnail) {
+        throw error;
+      }
+      // Chat services cap the message size, so try again without the slide image
+      await postJson(destination.target, format({ ...payload, thumbnail: null }));
+      return { thumbnailDropped: true };
+    }
+  }
+
+  return {
+    isValidTarget,
+    send
+  };
+})();
@@ -0,0 +1,129 @@
+// Google Slides Current Slide URL Copier - Frame Messages
+// Request/response protocol over window.postMessage between the share iframe, which has no slide of its own,
+// and the main frame, which builds the slide URL for it
+// Both ends only talk to Google Docs, and every request carries its own ID, so a frame can't forge
+// an answer or receive the answer to another frame's request
+
+const SlideUrlCopierFrames = (() => {
+  // Marks frame messages, so other postMessage traffic is left alone
+  const PROTOCOL = 'slide-url-copier-frames';
+
+  // Bump when a message's fields change incompatibly
+  const VERSION = 1;
+
+  // The only origin allowed on either end
+  const GOOGLE_DOCS_ORIGIN = 'https://docs.google.com';
+
+  // How long a frame waits for the main frame's answer
+  const RESPONSE_TIMEOUT_MS = 5000;
+
+  /**
+   * Answer slide URL requests from Google Docs frames nested in ownWindow
+   * getSlideUrl({ mode, exportFormat }) returns the URL or throws; its error message is sent back
+   * onIgnored(event) and onError(error) are told about untrusted requests and failed answers
+   */
+  function answerSlideUrlRequests(ownWindow, { getSlideUrl, onIgnored = () => {}, onError = () => {} }) {
+    ownWindow.addEventListener('message', (event) => {
+      const request = event.data;
+      if (!request || request.protocol !== PROTOCOL || request.type !== 'GET_SLIDE_URL') {
+        return;
+      }
+
+      // Only Google Docs frames inside this page may ask, and each request needs its own ID
+      if (event.origin !== GOOGLE_DOCS_ORIGIN || !isDescendantFrame(event.source, ownWindow) ||
+          typeof request.id !== 'string' || !request.id) {
+        onIgnored(event);
+        return;
+      }
+
+      const respond = (fields) => {
+        event.source.postMessage({ protocol: PROTOCOL, version: VERSION, type: 'SLIDE_URL_RESPONSE', id: request.id, ...fields },
+          event.origin);
+      };
+
+      try {
+        if (request.version !== VERSION) {
+          throw new Error(`Unsupported frame protocol version: ${request.version}`);
+        }
+        respond({ url: getSlideUrl({ mode: request.mode || 'EDIT', exportFormat: request.exportFormat || null }) });
+      } catch (error) {
+        onError(error);
+        respond({ error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Check that a message came from a frame nested somewhere inside ownWindow
+   */
+  function isDescendantFrame(source, ownWindow) {
+    try {
+      for (let frame = source; frame && frame !== frame.parent; frame = frame.parent) {
+        if (frame.parent === ownWindow) {
+          return true;
+        }
+      }
+    } catch (error) {
+      // Not a window, e.g. a MessagePort
+    }
+    return false;
+  }
+
+  /**
+   * Ask the main frame (ownWindow.top) for the current slide's URL
+   * Only the main frame's answer to this request is accepted, never a forged one
+   * or the answer to a concurrent request
+   */
+  function requestSlideUrl(ownWindow, { mode = 'EDIT', exportFormat = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const requestId = crypto.randomUUID();
+      const mainFrame = ownWindow.top;
+
+      const timeout = setTimeout(() => {
+        ownWindow.removeEventListener('message', messageHandler);
+        reject(new Error('Timeout waiting for slide URL'));
+      }, RESPONSE_TIMEOUT_MS);
+
+      const messageHandler = (event) => {
+        const response = event.data;
+        if (event.source !== mainFrame || event.origin !== GOOGLE_DOCS_ORIGIN || !response ||
+            response.protocol !== PROTOCOL || response.type !== 'SLIDE_URL_RESPONSE' || response.id !== requestId) {
+          return;
+        }
+
+        clearTimeout(timeout);
+        ownWindow.removeEventListener('message', messageHandler);
+
+        if (response.version !== VERSION) {
+          reject(new Error(`Unsupported frame protocol version: ${response.version}`));
+        } else if (response.error) {
+          reject(new Error(response.error));
+        } else if (typeof response.url !== 'string' || !response.url.startsWith(`${GOOGLE_DOCS_ORIGIN}/`)) {
+          reject(new Error('Invalid slide URL response'));
+        } else {
+          resolve(response.url);
+        }
+      };
+
+      ownWindow.addEventListener('message', messageHandler);
+
+      // The target origin keeps the request from reaching a main frame that isn't Google Docs
+      mainFrame.postMessage({
+        protocol: PROTOCOL,
+        version: VERSION,
+        type: 'GET_SLIDE_URL',
+        id: requestId,
+        mode: mode,
+        exportFormat: exportFormat
+      }, GOOGLE_DOCS_ORIGIN);
+    });
+  }
+
+  return {
+    PROTOCOL,
+    VERSION,
+    GOOGLE_DOCS_ORIGIN,
+    answerSlideUrlRequests,
+    requestSlideUrl
+  };
+})();
@@ -0,0 +1,45 @@
+// Google Slides Current Slide URL Copier - Localization
+// Loaded before settings.js by the content script, extension pages and the background worker
+// Strings live in _locales/<locale>/messages.json and follow the browser's UI language
+
+const SlideUrlCopierI18n = (() => {
+  /**
+   * Get a localized string, e.g. getMessage('linksCopied', 3)
+   * Falls back to the key so a missing translation is visible rather than blank
+   */
+  function getMessage(key, ...substitutions) {
+    return chrome.i18n.getMessage(key, substitutions.map(String)) || key;
+  }
+
+  /**
+   * Text direction of the extension's strings ("ltr" or "rtl")
+   */
+  function getDirection() {
+    return chrome.i18n.getMessage('@@bidi_dir') || 'ltr';
+  }
+
+  /**
+   * Fill in an extension page from data-i18n attributes and set its language and direction
+   * data-i18n sets the text, data-i18n-placeholder/-title/-aria-label set those attributes
+   */
+  function localizePage(root = document) {
+    root.documentElement.lang = chrome.i18n.getMessage('@@ui_locale').replace('_', '-');
+    root.documentElement.dir = getDirection();
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = getMessage(element.dataset.i18n);
+    });
+
+    for (const attribute of ['placeholder', 'title', 'aria-label']) {
+      root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+        element.setAttribute(attribute, getMessage(element.getAttribute(`data-i18n-${attribute}`)));
+      });
+    }
+  }
+
+  return {
+    getMessage,
+    getDirection,
+    localizePage
+  };
+})();
@@ -0,0 +1,574 @@
+// Google Slides Current Slide URL Copier - Options Page
+
+(() => {
+  const t = SlideUrlCopierI18n.getMessage;
+  
+  const state = {
+    settings: SlideUrlCopierSettings.normalize(),
+    // Destinations being edited, saved with the Save destinations button
+    destinations: [],
+    statusTimer: null
+  };
+
+  const menuItemsList = document.getElementById('menu-items');
+  const resetButton = document.getElementById('reset-menu-items');
+  const saveStatus = document.getElementById('save-status');
+  const copyFormatsGroup = document.getElementById('copy-formats');
+  const textCopyIncludeLinkCheckbox = document.getElementById('text-copy-include-link');
+  const textCopyFormatsGroup = document.getElementById('text-copy-formats');
+  const historyLimitInput = document.getElementById('history-limit');
+  const shortenerServiceSelect = document.getElementById('shortener-service');
+  const shortenerEndpointInput = document.getElementById('shortener-endpoint');
+  const shortenerApiKeyInput = document.getElementById('shortener-api-key');
+  const saveShortenerButton = document.getElementById('save-shortener');
+  const shortenerStatus = document.getElementById('shortener-status');
+  const destinationsList = document.getElementById('destinations');
+  const addDestinationButton = document.getElementById('add-destination');
+  const saveDestinationsButton = document.getElementById('save-destinations');
+  const destinationsStatus = document.getElementById('destinations-status');
+  const apiExtensionIdsInput = document.getElementById('api-extension-ids');
+  const apiOriginsInput = document.getElementById('api-origins');
+  const saveApiButton = document.getElementById('save-api');
+  const apiStatus = document.getElementById('api-status');
+  const diagnosticsTable = document.getElementById('diagnostics');
+  const copyDiagnosticsButton = document.getElementById('copy-diagnostics');
+  const clearDiagnosticsButton = document.getElementById('clear-diagnostics');
+  const diagnosticsStatus = document.getElementById('diagnostics-status');
+
+  // Status labels of the selector diagnostics, see selectors.js
+  const DIAGNOSTICS_STATUS_TEXTS = {
+    ok: t('diagnosticsStatusOk'),
+    fallback: t('diagnosticsStatusFallback'),
+    missing: t('diagnosticsStatusMissing'),
+    unchecked: t('diagnosticsStatusUnchecked')
+  };
+
+  /**
+   * Render the menu entries with enable, rename and reorder controls
+   */
+  function renderMenuItems() {
+    menuItemsList.textContent = '';
+    const items = state.settings.menuItems;
+
+    items.forEach((item, index) => {
+      const option = SlideUrlCopierSettings.SLIDE_OPTIONS.find(candidate => candidate.id === item.id);
+
+      const row = document.createElement('li');
+      row.className = 'menu-item' + (item.enabled ? '' : ' menu-item-disabled');
+
+      const enabledCheckbox = document.createElement('input');
+      enabledCheckbox.type = 'checkbox';
+      enabledCheckbox.checked = item.enabled;
+      enabledCheckbox.setAttribute('aria-label', t('menuItemShow', option.text));
+      enabledCheckbox.addEventListener('change', () => {
+        updateMenuItem(index, { enabled: enabledCheckbox.checked });
+      });
+
+      const labelInput = document.createElement('input');
+      labelInput.type = 'text';
+      labelInput.className = 'menu-item-label';
+      labelInput.value = item.label;
+      labelInput.placeholder = option.text;
+      labelInput.setAttribute('aria-label', t('menuItemName', option.text));
+      labelInput.addEventListener('change', () => {
+        updateMenuItem(index, { label: labelInput.value.trim() });
+      });
+
+      const moveUpButton = createMoveButton('▲', t('menuItemMoveUp'), index === 0, () => moveMenuItem(index, -1));
+      const moveDownButton = createMoveButton('▼', t('menuItemMoveDown'), index === items.length - 1, () => moveMenuItem(index, 1));
+
+      row.append(enabledCheckbox, labelInput, moveUpButton, moveDownButton);
+      menuItemsList.appendChild(row);
+    });
+  }
+
+  /**
+   * Create a reorder button
+   */
+  function createMoveButton(symbol, label, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'menu-item-move';
+    button.textContent = symbol;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Apply changes to one menu entry and save
+   */
+  function updateMenuItem(index, changes) {
+    const menuItems = state.settings.menuItems.map((item, itemIndex) => (
+      itemIndex === index ? { ...item, ...changes } : item
+    ));
+    saveMenuItems(menuItems);
+  }
+
+  /**
+   * Move a menu entry up (-1) or down (+1) and save
+   */
+  function moveMenuItem(index, direction) {
+    const menuItems = [...state.settings.menuItems];
+    const [item] = menuItems.splice(index, 1);
+    menuItems.splice(index + direction, 0, item);
+    saveMenuItems(menuItems);
+  }
+
+  /**
+   * Save menu entries - open Slides tabs pick them up immediately
+   */
+  function saveMenuItems(menuItems) {
+    state.settings.menuItems = SlideUrlCopierSettings.normalizeMenuItems(menuItems);
+    renderMenuItems();
+
+    SlideUrlCopierSettings.save({ menuItems: state.settings.menuItems })
+      .then(() => showStatus(t('saved')))
+      .catch(error => showStatus(t('errorSave', error.message)));
+  }
+
+  /**
+   * Render the link format choices
+   */
+  function renderCopyFormats() {
+    copyFormatsGroup.textContent = '';
+
+    for (const format of SlideUrlCopierSettings.COPY_FORMATS) {
+      const choice = document.createElement('label');
+      choice.className = 'choice';
+
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'copy-format';
+      radio.value = format.id;
+      radio.checked = state.settings.copyFormat === format.id;
+      radio.addEventListener('change', () => {
+        if (radio.checked) {
+          saveSetting({ copyFormat: format.id });
+        }
+      });
+
+      choice.append(radio, document.createTextNode(format.text));
+      copyFormatsGroup.appendChild(choice);
+    }
+  }
+
+  /**
+   * Render the speaker notes and slide text copy choices
+   */
+  function renderTextCopy() {
+    const { textCopy } = state.settings;
+    textCopyIncludeLinkCheckbox.checked = textCopy.includeLink;
+    textCopyFormatsGroup.textContent = '';
+
+    for (const format of SlideUrlCopierSettings.TEXT_COPY_FORMATS) {
+      const choice = document.createElement('label');
+      choice.className = 'choice';
+
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'text-copy-format';
+      radio.value = format.id;
+      radio.checked = textCopy.format === format.id;
+      radio.addEventListener('change', () => {
+        if (radio.checked) {
+          saveSetting({ textCopy: { ...state.settings.textCopy, format: format.id } });
+        }
+      });
+
+      choice.append(radio, document.createTextNode(format.text));
+      textCopyFormatsGroup.appendChild(choice);
+    }
+  }
+
+  /**
+   * Render the history size input
+   */
+  function renderHistoryLimit() {
+    const { min, max } = SlideUrlCopierSettings.HISTORY_LIMIT_RANGE;
+    historyLimitInput.min = String(min);
+    historyLimitInput.max = String(max);
+    historyLimitInput.value = String(state.settings.historyLimit);
+  }
+
+  /**
+   * Render the link shortener choices and the saved endpoint and key
+   */
+  function renderShortener() {
+    const { shortener } = state.settings;
+    shortenerServiceSelect.textContent = '';
+
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = t('optionsShortenerNone');
+    shortenerServiceSelect.appendChild(noneOption);
+
+    for (const adapter of SlideUrlCopierShorteners.ADAPTERS) {
+      const option = document.createElement('option');
+      option.value = adapter.id;
+      option.textContent = adapter.name;
+      shortenerServiceSelect.appendChild(option);
+    }
+
+    shortenerServiceSelect.value = SlideUrlCopierShorteners.getAdapter(shortener.service) ? shortener.service : '';
+    shortenerEndpointInput.value = shortener.endpoint;
+    shortenerApiKeyInput.value = shortener.apiKey;
+    updateShortenerFields();
+  }
+
+  /**
+   * Enable the endpoint and key fields only when a service is chosen
+   */
+  function updateShortenerFields() {
+    const adapter = SlideUrlCopierShorteners.getAdapter(shortenerServiceSelect.value);
+    shortenerEndpointInput.disabled = !adapter;
+    shortenerApiKeyInput.disabled = !adapter;
+    shortenerEndpointInput.placeholder = adapter ? adapter.endpointPlaceholder : '';
+  }
+
+  /**
+   * Save the shortener settings, asking Chrome for access to the endpoint's site first
+   * Runs from the Save button click, since permission prompts need a user gesture
+   */
+  async function saveShortener() {
+    const shortener = {
+      service: shortenerServiceSelect.value,
+      endpoint: shortenerEndpointInput.value.trim(),
+      apiKey: shortenerApiKeyInput.value.trim()
+    };
+
+    if (shortener.service) {
+      const origin = SlideUrlCopierSettings.getOriginPattern(shortener.endpoint);
+      if (!origin) {
+        showStatus(t('optionsShortenerInvalidEndpoint'), shortenerStatus);
+        return;
+      }
+      const granted = await chrome.permissions.request({ origins: [origin] });
+      if (!granted) {
+        showStatus(t('optionsShortenerPermissionDenied'), shortenerStatus);
+        return;
+      }
+    }
+
+    saveSetting({ shortener }, shortenerStatus);
+  }
+
+  /**
+   * Render the editable list of send destinations
+   */
+  function renderDestinations() {
+    destinationsList.textContent = '';
+
+    state.destinations.forEach((destination, index) => {
+      const item = document.createElement('li');
+      item.className = 'destination';
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'text-input';
+      nameInput.value = destination.name;
+      nameInput.placeholder = t('optionsDestinationNamePlaceholder');
+      nameInput.addEventListener('input', () => {
+        destination.name = nameInput.value;
+      });
+
+      const typeSelect = document.createElement('select');
+      typeSelect.className = 'text-input';
+      for (const destinationType of SlideUrlCopierSettings.DESTINATION_TYPES) {
+        const option = document.createElement('option');
+        option.value = destinationType.id;
+        option.textContent = destinationType.name;
+        typeSelect.appendChild(option);
+      }
+      typeSelect.value = destination.type;
+
+      const targetInput = document.createElement('input');
+      targetInput.type = 'text';
+      targetInput.className = 'text-input';
+      targetInput.spellcheck = false;
+      targetInput.value = destination.target;
+      targetInput.addEventListener('input', () => {
+        destination.target = targetInput.value;
+      });
+
+      const updateTargetPlaceholder = () => {
+        targetInput.placeholder = getDestinationType(destination.type).targetPlaceholder;
+      };
+      typeSelect.addEventListener('change', () => {
+        destination.type = typeSelect.value;
+        updateTargetPlaceholder();
+      });
+      updateTargetPlaceholder();
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'options-button';
+      removeButton.textContent = t('optionsDestinationRemove');
+      removeButton.addEventListener('click', () => {
+        state.destinations.splice(index, 1);
+        renderDestinations();
+      });
+
+      const targetField = createField(t('optionsDestinationTarget'), targetInput);
+      targetField.classList.add('destination-target');
+
+      item.append(
+        createField(t('optionsDestinationName'), nameInput),
+        createField(t('optionsDestinationType'), typeSelect),
+        removeButton,
+        targetField
+      );
+      destinationsList.appendChild(item);
+    });
+  }
+
+  /**
+   * Create a labelled form field
+   */
+  function createField(labelText, control) {
+    const field = document.createElement('label');
+    field.className = 'field';
+
+    const label = document.createElement('span');
+    label.className = 'field-label';
+    label.textContent = labelText;
+
+    field.append(label, control);
+    return field;
+  }
+
+  /**
+   * Find a destination type by id
+   */
+  function getDestinationType(id) {
+    return SlideUrlCopierSettings.DESTINATION_TYPES.find(destinationType => destinationType.id === id);
+  }
+
+  /**
+   * Save the destinations, asking Chrome for access to the webhook sites first
+   * Runs from the Save button click, since permission prompts need a user gesture
+   */
+  async function saveDestinations() {
+    // Rows left completely empty are dropped rather than reported
+    const destinations = state.destinations
+      .map(destination => ({ ...destination, name: destination.name.trim(), target: destination.target.trim() }))
+      .filter(destination => destination.name || destination.target);
+
+    const invalidDestination = destinations.find(destination => !SlideUrlCopierDestinations.isValidTarget(destination));
+    if (invalidDestination) {
+      const name = invalidDestination.name || getDestinationType(invalidDestination.type).name;
+      showStatus(t('optionsDestinationInvalid', name), destinationsStatus);
+      return;
+    }
+
+    const origins = [...new Set(destinations
+      .filter(destination => destination.type !== 'email')
+      .map(destination => SlideUrlCopierSettings.getOriginPattern(destination.target)))];
+    if (origins.length > 0) {
+      const granted = await chrome.permissions.request({ origins });
+      if (!granted) {
+        showStatus(t('optionsDestinationsPermissionDenied'), destinationsStatus);
+        return;
+      }
+    }
+
+    saveSetting({ destinations }, destinationsStatus);
+  }
+
+  /**
+   * Render the API allow-list, one entry per line
+   */
+  function renderApiAllowlist() {
+    apiExtensionIdsInput.value = state.settings.api.extensionIds.join('\n');
+    apiOriginsInput.value = state.settings.api.origins.join('\n');
+  }
+
+  /**
+   * Save the API allow-list, reporting the first entry that isn't an extension ID or origin
+   */
+  function saveApiAllowlist() {
+    const extensionIds = getLines(apiExtensionIdsInput.value);
+    const origins = getLines(apiOriginsInput.value);
+    const invalidEntry = extensionIds.find(extensionId => !SlideUrlCopierSettings.isExtensionId(extensionId)) ||
+      origins.find(origin => !SlideUrlCopierSettings.getOrigin(origin));
+
+    if (invalidEntry) {
+      showStatus(t('optionsApiInvalidEntry', invalidEntry), apiStatus);
+      return;
+    }
+
+    const api = SlideUrlCopierSettings.normalize({ api: { extensionIds, origins } }).api;
+    saveSetting({ api }, apiStatus);
+    renderApiAllowlist();
+  }
+
+  /**
+   * Split a textarea value into trimmed, non-empty lines
+   */
+  function getLines(value) {
+    return value.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * Render which selector strategy found each page element, missing ones first
+   */
+  async function renderDiagnostics() {
+    const rows = getDiagnosticsRows(await SlideUrlCopierSelectors.loadDiagnostics());
+    diagnosticsTable.replaceChildren();
+
+    for (const row of rows) {
+      const tableRow = document.createElement('tr');
+
+      const targetCell = document.createElement('td');
+      const targetName = document.createElement('code');
+      targetName.textContent = row.targetId;
+      targetCell.appendChild(targetName);
+
+      const statusCell = document.createElement('td');
+      statusCell.textContent = DIAGNOSTICS_STATUS_TEXTS[row.status];
+      statusCell.className = `diagnostics-${row.status}`;
+
+      const strategyCell = document.createElement('td');
+      strategyCell.textContent = row.strategy || '';
+
+      const updatedCell = document.createElement('td');
+      updatedCell.textContent = row.updatedAt ? new Date(row.updatedAt).toLocaleString() : '';
+
+      tableRow.append(targetCell, statusCell, strategyCell, updatedCell);
+      diagnosticsTable.appendChild(tableRow);
+    }
+  }
+
+  /**
+   * Flatten the stored diagnostics into table rows, missing and fallback targets first
+   */
+  function getDiagnosticsRows(diagnostics) {
+    const order = ['missing', 'fallback', 'ok', 'unchecked'];
+    return Object.entries(diagnostics)
+      .map(([targetId, record]) => ({
+        targetId,
+        status: record ? record.status : 'unchecked',
+        strategy: record ? record.strategy : null,
+        updatedAt: record ? record.updatedAt : null
+      }))
+      .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+  }
+
+  /**
+   * Copy the diagnostics as plain text for a bug report (not localized, so maintainers can read it)
+   */
+  async function copyDiagnosticsReport() {
+    const rows = getDiagnosticsRows(await SlideUrlCopierSelectors.loadDiagnostics());
+    const report = [
+      `${t('extensionName')} ${chrome.runtime.getManifest().version}`,
+      navigator.userAgent,
+      '',
+      ...rows.map(row => [
+        `${row.targetId}: ${row.status}`,
+        row.strategy ? ` (${row.strategy})` : '',
+        row.updatedAt ? ` ${new Date(row.updatedAt).toISOString()}` : ''
+      ].join(''))
+    ].join('\n');
+
+    await navigator.clipboard.writeText(report);
+    showStatus(t('optionsDiagnosticsCopied'), diagnosticsStatus);
+  }
+
+  /**
+   * Save a single setting
+   */
+  function saveSetting(partialSettings, statusElement = saveStatus) {
+    Object.assign(state.settings, partialSettings);
+
+    SlideUrlCopierSettings.save(partialSettings)
+      .then(() => showStatus(t('saved'), statusElement))
+      .catch(error => showStatus(t('errorSave', error.message), statusElement));
+  }
+
+  /**
+   * Render the diagnostics table, showing a load failure next to its buttons
+   */
+  function renderDiagnosticsOrReport() {
+    renderDiagnostics().catch(error => showStatus(t('errorLoadDiagnostics', error.message), diagnosticsStatus));
+  }
+
+  /**
+   * Show a short-lived status message
+   */
+  function showStatus(message, statusElement = saveStatus) {
+    statusElement.textContent = message;
+    clearTimeout(state.statusTimer);
+    state.statusTimer = setTimeout(() => {
+      statusElement.textContent = '';
+    }, 2000);
+  }
+
+  textCopyIncludeLinkCheckbox.addEventListener('change', () => {
+    saveSetting({ textCopy: { ...state.settings.textCopy, includeLink: textCopyIncludeLinkCheckbox.checked } });
+  });
+
+  historyLimitInput.addEventListener('change', () => {
+    const historyLimit = SlideUrlCopierSettings.normalize({ historyLimit: historyLimitInput.value }).historyLimit;
+    historyLimitInput.value = String(historyLimit);
+    saveSetting({ historyLimit });
+  });
+
+  shortenerServiceSelect.addEventListener('change', updateShortenerFields);
+
+  saveShortenerButton.addEventListener('click', () => {
+    saveShortener().catch(error => showStatus(t('errorSave', error.message), shortenerStatus));
+  });
+
+  addDestinationButton.addEventListener('click', () => {
+    state.destinations.push({ id: crypto.randomUUID(), name: '', type: 'slack', target: '' });
+    renderDestinations();
+    destinationsList.lastElementChild.querySelector('input').focus();
+  });
+
+  saveDestinationsButton.addEventListener('click', () => {
+    saveDestinations().catch(error => showStatus(t('errorSave', error.message), destinationsStatus));
+  });
+
+  saveApiButton.addEventListener('click', saveApiAllowlist);
+
+  copyDiagnosticsButton.addEventListener('click', () => {
+    copyDiagnosticsReport().catch(error => showStatus(t('errorCopy', error.message), diagnosticsStatus));
+  });
+
+  clearDiagnosticsButton.addEventListener('click', () => {
+    SlideUrlCopierSelectors.clearDiagnostics()
+      .then(renderDiagnostics)
+      .catch(error => showStatus(t('errorClearDiagnostics', error.message), diagnosticsStatus));
+  });
+
+  // Open Slides tabs record diagnostics while this page is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && Object.keys(changes).some(key => key.startsWith(SlideUrlCopierSelectors.DIAGNOSTICS_KEY_PREFIX))) {
+      renderDiagnosticsOrReport();
+    }
+  });
+
+  resetButton.addEventListener('click', () => {
+    saveMenuItems(SlideUrlCopierSettings.DEFAULTS.menuItems);
+  });
+
+  SlideUrlCopierI18n.localizePage();
+  
+  SlideUrlCopierSettings.load()
+    .then(settings => {
+      state.settings = settings;
+      renderMenuItems();
+      renderCopyFormats();
+      renderTextCopy();
+      renderHistoryLimit();
+      renderShortener();
+      state.destinations = settings.destinations.map(destination => ({ ...destination }));
+      renderDestinations();
+      renderApiAllowlist();
+    })
+    .catch(error => showStatus(t('errorLoadSettings', error.message)));
+
+  renderDiagnosticsOrReport();
+})();
@@ -0,0 +1,209 @@
+// Google Slides Current Slide URL Copier - Toolbar Popup
+// Actions for the current slide (also a fallback when the Quick Actions menu
+// cannot be found) and a searchable history of copied and exported slide links
+
+(() => {
+  const t = SlideUrlCopierI18n.getMessage;
+  const HISTORY_KEY = SlideUrlCopierSettings.HISTORY_STORAGE_KEY;
+
+  // Display names for link modes
+  const MODE_NAMES = {
+    EDIT: t('modeEdit'),
+    DEMO: t('modeDemo'),
+    PRESENT: t('modePresent'),
+    MOBILE: t('modeMobile'),
+    EMBED: t('modeEmbed'),
+    PUBLISHED: t('modePublished')
+  };
+
+  const state = {
+    history: [],
+    statusTimer: null
+  };
+
+  const historyList = document.getElementById('history-list');
+  const historyEmpty = document.getElementById('history-empty');
+  const searchInput = document.getElementById('history-search');
+  const clearButton = document.getElementById('clear-history');
+  const popupStatus = document.getElementById('popup-status');
+  const slideActionsSection = document.getElementById('slide-actions-section');
+  const slideActions = document.getElementById('slide-actions');
+
+  /**
+   * Offer the enabled slide options when the active tab is a Slides presentation
+   * The background worker runs the option in the page once the popup has closed
+   */
+  async function renderSlideActions() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !/^https:\/\/docs\.google\.com\/presentation\//.test(tab.url || '')) {
+      return;
+    }
+
+    const settings = await SlideUrlCopierSettings.load();
+
+    for (const option of SlideUrlCopierSettings.getMenuOptions(settings)) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'slide-action';
+      button.textContent = option.text;
+      button.addEventListener('click', () => {
+        // The background worker reports failures in the page; the popup is gone by then
+        chrome.runtime.sendMessage({ type: 'RUN_SLIDE_OPTION_IN_TAB', tabId: tab.id, optionId: option.id })
+          .catch(() => {});
+        // Closing hands focus back to the page, which clipboard writes need
+        window.close();
+      });
+      slideActions.appendChild(button);
+    }
+
+    slideActionsSection.hidden = false;
+  }
+
+  /**
+   * Describe what kind of link an entry is, e.g. "Presentation link" or "PDF export"
+   */
+  function getEntryTypeName(entry) {
+    if (entry.kind === 'export') {
+      return t('historyTypeExport', SlideUrlCopierSettings.getExportFormatName(entry.exportFormat));
+    }
+    if (entry.kind === 'image') {
+      return t('historyTypeImage');
+    }
+    if (entry.kind === 'notes') {
+      return t('historyTypeNotes');
+    }
+    if (entry.kind === 'text') {
+      return t('historyTypeText');
+    }
+    return MODE_NAMES[entry.mode] || t('historyTypeLink');
+  }
+
+  /**
+   * Format a timestamp relative to now, falling back to the date for older entries
+   */
+  function formatTimestamp(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) {
+      return t('timeJustNow');
+    }
+    if (minutes < 60) {
+      return t('timeMinutesAgo', minutes);
+    }
+    if (minutes < 24 * 60) {
+      return t('timeHoursAgo', Math.round(minutes / 60));
+    }
+    return new Date(timestamp).toLocaleDateString();
+  }
+
+  /**
+   * Render history entries matching the search text
+   */
+  function renderHistory() {
+    const query = searchInput.value.trim().toLowerCase();
+    const entries = state.history.filter(entry => !query ||
+      `${entry.presentationTitle} ${entry.slideTitle} ${getEntryTypeName(entry)}`.toLowerCase().includes(query));
+
+    historyList.textContent = '';
+    historyEmpty.hidden = entries.length > 0;
+    historyEmpty.textContent = state.history.length > 0 ? t('historyNoMatches') : t('historyEmpty');
+    clearButton.disabled = state.history.length === 0;
+
+    for (const entry of entries) {
+      const item = document.createElement('li');
+      item.className = 'history-entry';
+
+      const text = document.createElement('div');
+      text.className = 'history-entry-text';
+
+      const title = document.createElement('div');
+      title.className = 'history-entry-title';
+      title.textContent = entry.presentationTitle || t('untitledPresentation');
+      title.title = entry.url;
+
+      const slide = document.createElement('div');
+      slide.className = 'history-entry-slide';
+      slide.textContent = [entry.slideNumber ? t('slideNumber', entry.slideNumber) : '', entry.slideTitle]
+        .filter(Boolean).join(': ');
+
+      const meta = document.createElement('div');
+      meta.className = 'history-entry-meta';
+      meta.textContent = `${getEntryTypeName(entry)} · ${formatTimestamp(entry.timestamp)}`;
+
+      text.append(title, slide, meta);
+
+      const copyButton = createEntryButton(t('historyCopy'), () => copyEntry(entry));
+      const openButton = createEntryButton(t('historyOpen'), () => chrome.tabs.create({ url: entry.url }));
+
+      item.append(text, copyButton, openButton);
+      historyList.appendChild(item);
+    }
+  }
+
+  /**
+   * Create a small text button for a history entry
+   */
+  function createEntryButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'popup-text-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Copy an entry's URL again
+   */
+  async function copyEntry(entry) {
+    try {
+      await navigator.clipboard.writeText(entry.url);
+      showStatus(t('linkCopied'));
+    } catch (error) {
+      showStatus(t('errorCopy', error.message));
+    }
+  }
+
+  /**
+   * Show a short-lived status message
+   */
+  function showStatus(message) {
+    popupStatus.textContent = message;
+    clearTimeout(state.statusTimer);
+    state.statusTimer = setTimeout(() => {
+      popupStatus.textContent = '';
+    }, 2000);
+  }
+
+  /**
+   * Load history from storage and render it
+   */
+  async function loadHistory() {
+    const stored = await SlideUrlCopierSettings.loadLocal({ [HISTORY_KEY]: [] });
+    state.history = stored[HISTORY_KEY];
+    renderHistory();
+  }
+
+  searchInput.addEventListener('input', renderHistory);
+
+  clearButton.addEventListener('click', async () => {
+    try {
+      await SlideUrlCopierSettings.saveLocal({ [HISTORY_KEY]: [] });
+      showStatus(t('historyCleared'));
+    } catch (error) {
+      showStatus(t('errorClearHistory', error.message));
+    }
+  });
+
+  // Pick up links copied while the popup is open, and the clear above
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[HISTORY_KEY]) {
+      state.history = changes[HISTORY_KEY].newValue || [];
+      renderHistory();
+    }
+  });
+
+  SlideUrlCopierI18n.localizePage();
+  renderSlideActions().catch(error => showStatus(t('errorLoadSlideActions', error.message)));
+  loadHistory().catch(error => showStatus(t('errorLoadHistory', error.message)));
+  searchInput.focus();
+})();
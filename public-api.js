@@ -0,0 +1,151 @@
+// Google Slides Current Slide URL Copier - Public API
+// Protocol shared by the content script, which answers page scripts over window.postMessage,
+// and the background worker, which answers other extensions over runtime messages and ports
+// Only callers on the allow-list from the options page are answered
+
+const SlideUrlCopierApi = (() => {
+  // Marks API messages, so other postMessage traffic is left alone
+  const API_NAME = 'slide-url-copier';
+
+  // Bump when a method's parameters or results change incompatibly
+  const VERSION = 1;
+
+  // Port name for slide-change subscriptions from other extensions
+  const PORT_NAME = 'slide-url-copier';
+
+  const METHODS = ['getCurrentSlide', 'buildUrl', 'subscribe', 'unsubscribe'];
+
+  // Link modes accepted by buildUrl
+  const MODES = ['EDIT', 'DEMO', 'PRESENT', 'MOBILE', 'EMBED', 'PUBLISHED'];
+
+  // Error codes returned in `error.code`
+  const ERRORS = {
+    NOT_ALLOWED: 'not_allowed',
+    UNSUPPORTED_VERSION: 'unsupported_version',
+    UNKNOWN_METHOD: 'unknown_method',
+    INVALID_PARAMS: 'invalid_params',
+    NO_PRESENTATION: 'no_presentation',
+    FAILED: 'failed'
+  };
+
+  // Error with a code from ERRORS, sent back to the caller
+  class ApiError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = 'ApiError';
+      this.code = code;
+    }
+  }
+
+  /**
+   * Check whether a message is an API request, before any validation
+   */
+  function isRequest(data) {
+    return Boolean(data) && typeof data === 'object' && data.api === API_NAME && data.type === 'request';
+  }
+
+  /**
+   * Validate a request, returning its method and normalized params or throwing an ApiError
+   */
+  function parseRequest(data) {
+    if (data.version !== VERSION) {
+      throw new ApiError(ERRORS.UNSUPPORTED_VERSION, `Unsupported API version ${data.version}, expected ${VERSION}`);
+    }
+    if (!METHODS.includes(data.method)) {
+      throw new ApiError(ERRORS.UNKNOWN_METHOD, `Unknown method: ${data.method}`);
+    }
+
+    const params = data.params === undefined ? {} : data.params;
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw new ApiError(ERRORS.INVALID_PARAMS, 'params must be an object');
+    }
+
+    return { method: data.method, params: normalizeParams(data.method, params) };
+  }
+
+  /**
+   * Check and fill in the params of a method
+   * tabId picks the Slides tab for requests from other extensions (default: the active tab)
+   */
+  function normalizeParams(method, params) {
+    if (params.tabId !== undefined && !Number.isInteger(params.tabId)) {
+      throw new ApiError(ERRORS.INVALID_PARAMS, 'tabId must be an integer');
+    }
+    const tabId = params.tabId === undefined ? null : params.tabId;
+
+    if (method === 'buildUrl') {
+      const mode = params.mode === undefined ? 'EDIT' : params.mode;
+      const format = params.format === undefined || params.format === null ? null : params.format;
+      const slideId = params.slideId === undefined || params.slideId === null ? null : params.slideId;
+
+      if (!MODES.includes(mode)) {
+        throw new ApiError(ERRORS.INVALID_PARAMS, `mode must be one of ${MODES.join(', ')}`);
+      }
+      if (format !== null && !SlideUrlCopierSettings.EXPORT_FORMATS.some(exportFormat => exportFormat.format === format)) {
+        throw new ApiError(ERRORS.INVALID_PARAMS, `Unknown export format: ${format}`);
+      }
+      if (slideId !== null && typeof slideId !== 'string') {
+        throw new ApiError(ERRORS.INVALID_PARAMS, 'slideId must be a string');
+      }
+      return { tabId, mode, format, slideId };
+    }
+
+    if (method === 'unsubscribe') {
+      if (typeof params.subscriptionId !== 'string') {
+        throw new ApiError(ERRORS.INVALID_PARAMS, 'subscriptionId must be a string');
+      }
+      return { tabId, subscriptionId: params.subscriptionId };
+    }
+
+    return { tabId };
+  }
+
+  /**
+   * Build a successful response to a request
+   */
+  function createResponse(id, result) {
+    return { api: API_NAME, version: VERSION, type: 'response', id, ok: true, result };
+  }
+
+  /**
+   * Build an error response, hiding the details of unexpected errors behind FAILED
+   */
+  function createErrorResponse(id, error) {
+    const code = error instanceof ApiError ? error.code : ERRORS.FAILED;
+    return { api: API_NAME, version: VERSION, type: 'response', id, ok: false, error: { code, message: error.message } };
+  }
+
+  /**
+   * Build an event for a subscription, e.g. "slideChanged"
+   */
+  function createEvent(event, subscriptionId, data = null) {
+    return { api: API_NAME, version: VERSION, type: 'event', event, subscriptionId, data };
+  }
+
+  /**
+   * Check a page origin (e.g. "https://intranet.example.com") against the allow-list
+   */
+  function isAllowedOrigin(settings, origin) {
+    return settings.api.origins.includes(origin);
+  }
+
+  /**
+   * Check an extension ID against the allow-list
+   */
+  function isAllowedExtension(settings, extensionId) {
+    return settings.api.extensionIds.includes(extensionId);
+  }
+
+  return {
+    PORT_NAME,
+    ERRORS,
+    ApiError,
+    isRequest,
+    parseRequest,
+    createResponse,
+    createErrorResponse,
+    createEvent,
+    isAllowedOrigin,
+    isAllowedExtension
+  };
+})();
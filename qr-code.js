@@ -0,0 +1,440 @@
+// Google Slides Current Slide URL Copier - QR Code Encoder
+// Minimal QR code generator (byte mode, error correction level M), no external libraries
+// Follows ISO/IEC 18004; the structure mirrors Project Nayuki's reference implementation
+
+const SlideQrCode = (() => {
+  const encoder = new TextEncoder();
+
+  // Error correction codewords per block and number of blocks for level M, indexed by version (1-40)
+  const ECC_CODEWORDS_PER_BLOCK = [-1,
+    10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+  const NUM_ERROR_CORRECTION_BLOCKS = [-1,
+    1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+  // Format information bits for level M
+  const FORMAT_BITS_LEVEL_M = 0;
+
+  // Penalty weights used to pick the most readable mask
+  const PENALTY_N1 = 3;
+  const PENALTY_N2 = 3;
+  const PENALTY_N3 = 40;
+  const PENALTY_N4 = 10;
+
+  // Dark-light-dark-dark-dark-light-dark, preceded or followed by four light modules
+  const FINDER_LIKE_PATTERNS = [
+    [false, false, false, false, true, false, true, true, true, false, true],
+    [true, false, true, true, true, false, true, false, false, false, false]
+  ];
+
+  /**
+   * Encode text as a QR code
+   * @param {string} text
+   * @returns {{size: number, modules: boolean[][]}} modules[y][x] is true for dark modules
+   */
+  function encode(text) {
+    const data = encoder.encode(text);
+
+    let version = 1;
+    for (; version <= 40; version++) {
+      const countBits = version <= 9 ? 8 : 16;
+      if (4 + countBits + data.length * 8 <= getNumDataCodewords(version) * 8) {
+        break;
+      }
+    }
+    if (version > 40) {
+      throw new RangeError('Text too long for a QR code');
+    }
+
+    const codewords = addErrorCorrectionAndInterleave(createDataCodewords(data, version), version);
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const qr = { version, size, modules, isFunction };
+
+    drawFunctionPatterns(qr);
+    drawCodewords(qr, codewords);
+
+    // Try every mask and keep the one with the lowest penalty
+    let bestMask = 0;
+    let minPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      applyMask(qr, mask);
+      drawFormatBits(qr, mask);
+      const penalty = getPenaltyScore(qr);
+      if (penalty < minPenalty) {
+        bestMask = mask;
+        minPenalty = penalty;
+      }
+      applyMask(qr, mask); // Masks are XOR, so applying again undoes it
+    }
+    applyMask(qr, bestMask);
+    drawFormatBits(qr, bestMask);
+
+    return { size, modules };
+  }
+
+  /**
+   * Number of modules available for data and error correction in a version
+   */
+  function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) {
+        result -= 36;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Number of 8-bit data codewords (excluding error correction) in a version
+   */
+  function getNumDataCodewords(version) {
+    return Math.floor(getNumRawDataModules(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+  }
+
+  /**
+   * Build the byte-mode segment, terminator and padding
+   */
+  function createDataCodewords(data, version) {
+    const capacityBits = getNumDataCodewords(version) * 8;
+    const bits = [];
+    const appendBits = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+      }
+    };
+
+    appendBits(0x4, 4); // Byte mode
+    appendBits(data.length, version <= 9 ? 8 : 16);
+    data.forEach(byte => appendBits(byte, 8));
+
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let padByte = 0xEC; bits.length < capacityBits; padByte ^= 0xEC ^ 0x11) {
+      appendBits(padByte, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+  }
+
+  /**
+   * Split data into blocks, append Reed-Solomon error correction and interleave
+   */
+  function addErrorCorrectionAndInterleave(data, version) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonComputeDivisor(blockEccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+      const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+      offset += blockData.length;
+      const ecc = reedSolomonComputeRemainder(blockData, divisor);
+      if (i < numShortBlocks) {
+        blockData.push(0); // Placeholder so all blocks have the same length
+      }
+      blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Reed-Solomon generator polynomial of the given degree
+   */
+  function reedSolomonComputeDivisor(degree) {
+    const result = new Array(degree - 1).fill(0);
+    result.push(1);
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = reedSolomonMultiply(result[j], root);
+        if (j + 1 < result.length) {
+          result[j] ^= result[j + 1];
+        }
+      }
+      root = reedSolomonMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  /**
+   * Reed-Solomon error correction codewords for a block
+   */
+  function reedSolomonComputeRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= reedSolomonMultiply(coefficient, factor);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+   */
+  function reedSolomonMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function setFunctionModule(qr, x, y, isDark) {
+    qr.modules[y][x] = isDark;
+    qr.isFunction[y][x] = true;
+  }
+
+  /**
+   * Draw finder, timing and alignment patterns and reserve the format and version areas
+   */
+  function drawFunctionPatterns(qr) {
+    const { size } = qr;
+
+    for (let i = 0; i < size; i++) {
+      setFunctionModule(qr, 6, i, i % 2 === 0);
+      setFunctionModule(qr, i, 6, i % 2 === 0);
+    }
+
+    drawFinderPattern(qr, 3, 3);
+    drawFinderPattern(qr, size - 4, 3);
+    drawFinderPattern(qr, 3, size - 4);
+
+    const positions = getAlignmentPatternPositions(qr.version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // Skip the three corners taken by finder patterns
+        if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+          drawAlignmentPattern(qr, x, y);
+        }
+      });
+    });
+
+    drawFormatBits(qr, 0);
+    drawVersion(qr);
+  }
+
+  function drawFinderPattern(qr, x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < qr.size && yy >= 0 && yy < qr.size) {
+          setFunctionModule(qr, xx, yy, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  function drawAlignmentPattern(qr, x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        setFunctionModule(qr, x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  /**
+   * Center coordinates of alignment patterns, ascending
+   */
+  function getAlignmentPatternPositions(version) {
+    if (version === 1) {
+      return [];
+    }
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = version * 4 + 10; result.length < numAlign; position -= step) {
+      result.splice(1, 0, position);
+    }
+    return result;
+  }
+
+  /**
+   * Draw both copies of the format information (error correction level and mask)
+   */
+  function drawFormatBits(qr, mask) {
+    const data = (FORMAT_BITS_LEVEL_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+    const { size } = qr;
+
+    for (let i = 0; i <= 5; i++) {
+      setFunctionModule(qr, 8, i, bit(i));
+    }
+    setFunctionModule(qr, 8, 7, bit(6));
+    setFunctionModule(qr, 8, 8, bit(7));
+    setFunctionModule(qr, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      setFunctionModule(qr, 14 - i, 8, bit(i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+      setFunctionModule(qr, size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      setFunctionModule(qr, 8, size - 15 + i, bit(i));
+    }
+    setFunctionModule(qr, 8, size - 8, true); // Always dark
+  }
+
+  /**
+   * Draw both copies of the version information (versions 7 and up)
+   */
+  function drawVersion(qr) {
+    if (qr.version < 7) {
+      return;
+    }
+    let remainder = qr.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (qr.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const isDark = ((bits >>> i) & 1) !== 0;
+      const a = qr.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setFunctionModule(qr, a, b, isDark);
+      setFunctionModule(qr, b, a, isDark);
+    }
+  }
+
+  /**
+   * Place data bits in the zigzag order, skipping function modules
+   */
+  function drawCodewords(qr, codewords) {
+    const { size } = qr;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5; // Skip the vertical timing pattern
+      }
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+            qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * XOR a mask pattern over the data modules
+   */
+  function applyMask(qr, mask) {
+    for (let y = 0; y < qr.size; y++) {
+      for (let x = 0; x < qr.size; x++) {
+        let invert;
+        switch (mask) {
+          case 0: invert = (x + y) % 2 === 0; break;
+          case 1: invert = y % 2 === 0; break;
+          case 2: invert = x % 3 === 0; break;
+          case 3: invert = (x + y) % 3 === 0; break;
+          case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+          case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+          case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+          default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+        }
+        if (invert && !qr.isFunction[y][x]) {
+          qr.modules[y][x] = !qr.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Score how hard the symbol is to scan: long runs, 2x2 blocks, finder look-alikes and dark/light imbalance
+   */
+  function getPenaltyScore(qr) {
+    const { size, modules } = qr;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    let penalty = 0;
+    for (const line of lines) {
+      let runLength = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          runLength++;
+        } else {
+          if (runLength >= 5) {
+            penalty += PENALTY_N1 + runLength - 5;
+          }
+          runLength = 1;
+        }
+      }
+
+      for (let i = 0; i + 11 <= size; i++) {
+        if (FINDER_LIKE_PATTERNS.some(pattern => pattern.every((isDark, k) => line[i + k] === isDark))) {
+          penalty += PENALTY_N3;
+        }
+      }
+    }
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const color = modules[y][x];
+        if (color) {
+          dark++;
+        }
+        if (x + 1 < size && y + 1 < size && color === modules[y][x + 1] &&
+            color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += PENALTY_N2;
+        }
+      }
+    }
+
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_N4;
+
+    return penalty;
+  }
+
+  return {
+    encode
+  };
+})();
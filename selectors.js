@@ -0,0 +1,230 @@
+// Google Slides Current Slide URL Copier - Selector Registry
+// Every element of Google's UI the content script looks for, with fallback strategies
+// tried in order. Which strategy matched (or that none did) is kept in chrome.storage.local
+// for the Diagnostics section of the options page, to help with bug reports after Google changes its UI
+
+const SlideUrlCopierSelectors = (() => {
+  // Attribute marking menu items injected by this extension, so they're never mistaken for Google's
+  const INJECTED_OPTION_ATTRIBUTE = 'data-slide-url-copier-option';
+
+  // Google's own "Copy link" label in the supported UI languages, used if its icon can't be found
+  const COPY_LINK_MENU_TEXTS = ['copy link', 'link kopieren', 'העתקת הקישור', 'העתקת קישור', 'リンクをコピー'];
+
+  // chrome.storage.local key prefix of the per-target diagnostics records
+  const DIAGNOSTICS_KEY_PREFIX = 'selectorDiagnostics:';
+
+  /**
+   * Targets and their strategies, most specific first
+   * A strategy has a CSS `selector`, or a `find(root)` function for matches CSS can't express
+   */
+  const TARGETS = {
+    editorChrome: [
+      { name: 'main-role', selector: '[role="main"]' },
+      { name: 'docs-chrome', selector: '#docs-chrome' },
+      { name: 'present-edit-mode', selector: '.punch-present-edit-mode' }
+    ],
+    titleInput: [
+      { name: 'title-input', selector: '.docs-title-input' }
+    ],
+    shareButton: [
+      { name: 'share-button-id', selector: '#docs-titlebar-share-client-button' }
+    ],
+    quickActionsButton: [
+      { name: 'button-id', selector: '#scb-quick-actions-menu-button' },
+      { name: 'button-id-prefix', selector: '[id^="scb-quick-actions"][role="button"]' }
+    ],
+    quickActionsMenu: [
+      { name: 'sqa-vertical-menu', selector: '.goog-menu.scb-sqa-menu.scb-sqa-menu-vertical[role="menu"]' },
+      { name: 'sqa-menu', selector: '.scb-sqa-menu[role="menu"]' }
+    ],
+    copyLinkMenuItem: [
+      {
+        name: 'copy-link-icon',
+        find: root => getQuickActionsMenuItems(root).find(item => item.querySelector('.scb-sqa-copy-link-icon')) || null
+      },
+      {
+        name: 'copy-link-text',
+        find: root => getQuickActionsMenuItems(root).find(item => {
+          const text = item.textContent.trim().toLowerCase();
+          return COPY_LINK_MENU_TEXTS.some(copyLinkText => text.includes(copyLinkText)) && !text.includes('time');
+        }) || null
+      }
+    ],
+    slideMenuButton: [
+      { name: 'sketchy-slide-menu', selector: '#sketchy-slide-menu' },
+      { name: 'docs-slide-menu', selector: '#docs-slide-menu' },
+      { name: 'punch-slide-menu', selector: '#punch-slide-menu' }
+    ],
+    googleMenu: [
+      { name: 'goog-menu', selector: '.goog-menu[role="menu"]' }
+    ],
+    speakerNotes: [
+      { name: 'notes-workspace', selector: '#speakernotes-workspace' },
+      { name: 'notes-panel', selector: '#speakernotes' },
+      { name: 'notes-class', selector: '[class*="speakernotes"][role="textbox"], [class*="speaker-notes"][role="textbox"]' }
+    ],
+    // Thumbnail IDs look like "filmstrip-slide-<index>-<slide object ID>"
+    filmstripSlide: [
+      { name: 'filmstrip-slide-id', selector: '[id^="filmstrip-slide-"]' }
+    ],
+    // Skipped slides are dimmed and get an icon; no match just means no slide is skipped
+    skippedFilmstripSlide: [
+      { name: 'skipped-class', selector: '[id^="filmstrip-slide-"][class*="skipped"], [class*="skipped"] [id^="filmstrip-slide-"]' },
+      { name: 'skipped-child', selector: '[id^="filmstrip-slide-"]:has([class*="skipped"])' },
+      { name: 'option-skipped-child', selector: '[role="option"]:has([class*="skipped"]) [id^="filmstrip-slide-"]' }
+    ],
+    selectedFilmstripSlide: [
+      { name: 'aria-selected', selector: '[id^="filmstrip-slide-"][aria-selected="true"]' },
+      { name: 'option-aria-selected', selector: '[role="option"][aria-selected="true"] [id^="filmstrip-slide-"]' },
+      { name: 'selected-border', selector: '[id^="filmstrip-slide-"][class*="punch-filmstrip-selected"]' },
+      { name: 'selected-border-child', selector: '[id^="filmstrip-slide-"]:has([class*="punch-filmstrip-selected"])' }
+    ]
+  };
+
+  /**
+   * Google's own items in a Quick Actions menu, skipping the ones this extension added
+   */
+  function getQuickActionsMenuItems(menu) {
+    return [...menu.querySelectorAll(`.goog-menuitem.scb-sqa-menuitem[role="menuitem"]:not([${INJECTED_OPTION_ATTRIBUTE}])`)];
+  }
+
+  // Last record per target on this page, so storage is only written when something changes
+  const records = new Map();
+
+  /**
+   * Find the first element of a target, trying its strategies in order
+   */
+  function find(targetId, root = document) {
+    for (const [index, strategy] of getStrategies(targetId).entries()) {
+      const element = strategy.find ? strategy.find(root) : root.querySelector(strategy.selector);
+      if (element) {
+        recordMatch(targetId, index);
+        return element;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find all elements of a target with the first strategy that matches any
+   */
+  function findAll(targetId, root = document) {
+    for (const [index, strategy] of getStrategies(targetId).entries()) {
+      if (strategy.find) {
+        continue;
+      }
+      const elements = [...root.querySelectorAll(strategy.selector)];
+      if (elements.length > 0) {
+        recordMatch(targetId, index);
+        return elements;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Find the closest ancestor of an element (or the element itself) that is a target
+   */
+  function closest(targetId, element) {
+    if (!element || !element.closest) {
+      return null;
+    }
+    for (const [index, strategy] of getStrategies(targetId).entries()) {
+      const match = strategy.selector && element.closest(strategy.selector);
+      if (match) {
+        recordMatch(targetId, index);
+        return match;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an element is a target
+   */
+  function matches(targetId, element) {
+    for (const [index, strategy] of getStrategies(targetId).entries()) {
+      if (strategy.selector && element.matches(strategy.selector)) {
+        recordMatch(targetId, index);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Record that a target the page should have could not be found with any strategy
+   * Called by the content script where a missing element means a feature is broken
+   */
+  function reportMissing(targetId) {
+    saveRecord(targetId, { status: 'missing', strategy: null });
+  }
+
+  /**
+   * Record the strategy that found a target; a later strategy means the preferred one broke
+   */
+  function recordMatch(targetId, index) {
+    saveRecord(targetId, { status: index === 0 ? 'ok' : 'fallback', strategy: getStrategies(targetId)[index].name });
+  }
+
+  /**
+   * Store a target's record when it differs from the last one seen on this page
+   */
+  function saveRecord(targetId, { status, strategy }) {
+    const previous = records.get(targetId);
+    if (previous && previous.status === status && previous.strategy === strategy) {
+      return;
+    }
+
+    const record = { status, strategy, updatedAt: Date.now() };
+    records.set(targetId, record);
+
+    if (typeof chrome === 'undefined' || !chrome.storage) {
+      return;
+    }
+    SlideUrlCopierSettings.saveLocal({ [`${DIAGNOSTICS_KEY_PREFIX}${targetId}`]: record })
+      .catch(() => {
+        // Extension was reloaded or updated while this page stayed open
+      });
+  }
+
+  /**
+   * Strategies of a target, failing loudly on a typo in the target name
+   */
+  function getStrategies(targetId) {
+    const strategies = TARGETS[targetId];
+    if (!strategies) {
+      throw new Error(`Unknown selector target: ${targetId}`);
+    }
+    return strategies;
+  }
+
+  /**
+   * Load the stored diagnostics: { targetId: { status, strategy, updatedAt } or null if never checked }
+   */
+  async function loadDiagnostics() {
+    const keys = Object.fromEntries(Object.keys(TARGETS).map(targetId => [`${DIAGNOSTICS_KEY_PREFIX}${targetId}`, null]));
+    const stored = await SlideUrlCopierSettings.loadLocal(keys);
+    return Object.fromEntries(Object.keys(TARGETS).map(targetId => [targetId, stored[`${DIAGNOSTICS_KEY_PREFIX}${targetId}`]]));
+  }
+
+  /**
+   * Forget the stored diagnostics
+   */
+  function clearDiagnostics() {
+    return chrome.storage.local.remove(Object.keys(TARGETS).map(targetId => `${DIAGNOSTICS_KEY_PREFIX}${targetId}`));
+  }
+
+  return {
+    INJECTED_OPTION_ATTRIBUTE,
+    DIAGNOSTICS_KEY_PREFIX,
+    TARGETS,
+    find,
+    findAll,
+    closest,
+    matches,
+    reportMissing,
+    loadDiagnostics,
+    clearDiagnostics
+  };
+})();
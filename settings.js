@@ -0,0 +1,312 @@
+// Google Slides Current Slide URL Copier - Shared Settings
+// Loaded after i18n.js by the content script, extension pages and the background worker
+
+const SlideUrlCopierSettings = (() => {
+  const t = SlideUrlCopierI18n.getMessage;
+
+  // Single-slide formats offered by the Slides export endpoint
+  // Formats added after PNG/PDF start hidden and can be enabled on the options page
+  const EXPORT_FORMATS = [
+    { format: 'png', name: 'PNG', text: t('optionExportPng') },
+    { format: 'pdf', name: 'PDF', text: t('optionExportPdf') },
+    { format: 'jpeg', name: 'JPEG', text: t('optionExportJpeg'), defaultEnabled: false },
+    { format: 'svg', name: 'SVG', text: t('optionExportSvg'), defaultEnabled: false },
+    { format: 'pptx', name: 'PowerPoint', text: t('optionExportPptx'), defaultEnabled: false },
+    { format: 'txt', name: t('exportFormatTextName'), text: t('optionExportTxt'), defaultEnabled: false }
+  ];
+
+  // All slide options, in default menu order
+  // `command` matches the keyboard shortcut declared in manifest.json
+  const SLIDE_OPTIONS = [
+    { id: 'current-slide-copy-option', text: t('optionCopyEditLink'), mode: 'EDIT', command: 'copy-edit-link' },
+    { id: 'current-slide-demo-option', text: t('optionCopyDemoLink'), mode: 'DEMO', command: 'copy-demo-link' },
+    { id: 'current-slide-present-option', text: t('optionCopyPresentLink'), mode: 'PRESENT', command: 'copy-present-link' },
+    { id: 'current-slide-mobile-option', text: t('optionCopyMobileLink'), mode: 'MOBILE', command: 'copy-mobile-link' },
+    { id: 'current-slide-link-options', text: t('optionLinkOptions'), dialog: 'link-options', command: 'copy-link-with-options' },
+    { id: 'current-slide-embed-code', text: t('optionEmbedCode'), dialog: 'embed', command: 'copy-embed-code' },
+    { id: 'current-slide-copy-image', text: t('optionCopyImage'), copyImage: true, command: 'copy-slide-image' },
+    // Speaker notes are only on screen for the current slide, so they can't be copied for another one
+    { id: 'current-slide-copy-notes', text: t('optionCopySpeakerNotes'), copyText: 'notes', currentSlideOnly: true, command: 'copy-speaker-notes', defaultEnabled: false },
+    { id: 'current-slide-copy-text', text: t('optionCopySlideText'), copyText: 'slide', command: 'copy-slide-text', defaultEnabled: false },
+    { id: 'current-slide-qr-code', text: t('optionShowQrCode'), mode: 'PRESENT', qrCode: true, command: 'show-qr-code' },
+    { id: 'current-slide-short-link', text: t('optionCopyShortLink'), mode: 'PRESENT', shortLink: true, command: 'copy-short-link', defaultEnabled: false },
+    { id: 'current-slide-send', text: t('optionSendSlide'), dialog: 'send', command: 'send-slide', defaultEnabled: false },
+    { id: 'current-slide-follow-along', text: t('optionFollowAlong'), dialog: 'follow-along', command: 'follow-along', defaultEnabled: false },
+    { id: 'selected-slides-copy-option', text: t('optionCopySelectedLinks'), mode: 'EDIT', selection: true, command: 'copy-selected-links' },
+    { id: 'deck-outline', text: t('optionDeckOutline'), dialog: 'outline', command: 'copy-deck-outline', defaultEnabled: false },
+    ...EXPORT_FORMATS.map(exportFormat => ({
+      id: `current-slide-export-${exportFormat.format}`,
+      text: exportFormat.text,
+      exportFormat: exportFormat.format,
+      command: `export-${exportFormat.format}`,
+      defaultEnabled: exportFormat.defaultEnabled
+    })),
+    { id: 'slides-export-bundle', text: t('optionExportBundle'), dialog: 'export', command: 'export-slides' }
+  ];
+
+  // How copied links are written to the clipboard
+  const COPY_FORMATS = [
+    { id: 'url', text: t('copyFormatUrl') },
+    { id: 'html', text: t('copyFormatHtml') },
+    { id: 'markdown', text: t('copyFormatMarkdown') }
+  ];
+
+  // How copied speaker notes and slide text are written to the clipboard
+  const TEXT_COPY_FORMATS = [
+    { id: 'text', text: t('textCopyFormatText') },
+    { id: 'markdown', text: t('textCopyFormatMarkdown') }
+  ];
+
+  // Kinds of "Send current slide to…" destinations; request formats live in destinations.js
+  // `target` is an incoming-webhook URL, or a mailto: template for email
+  const DESTINATION_TYPES = [
+    { id: 'slack', name: 'Slack / Mattermost', supportsThumbnail: false, targetPlaceholder: 'https://hooks.slack.com/services/…' },
+    { id: 'teams', name: 'Microsoft Teams', supportsThumbnail: true, targetPlaceholder: 'https://….webhook.office.com/…' },
+    { id: 'webhook', name: t('destinationTypeWebhook'), supportsThumbnail: true, targetPlaceholder: 'https://…' },
+    {
+      id: 'email',
+      name: t('destinationTypeEmail'),
+      supportsThumbnail: false,
+      targetPlaceholder: 'mailto:team@example.com?subject={presentation}&body={slide}%0A{url}'
+    }
+  ];
+
+  const DEFAULTS = {
+    // Ordered menu entries: { id, enabled, label } - an empty label keeps the default text
+    menuItems: SLIDE_OPTIONS.map(option => ({ id: option.id, enabled: option.defaultEnabled !== false, label: '' })),
+    copyFormat: 'url',
+    // Copied speaker notes and slide text: a TEXT_COPY_FORMATS id, and whether a titled slide link comes first
+    textCopy: { format: 'text', includeLink: true },
+    historyLimit: 50,
+    // Link shortener for "Copy short link": service is an adapter id from shorteners.js, empty for none
+    shortener: { service: '', endpoint: '', apiKey: '' },
+    // Named destinations: { id, name, type, target } - type is a DESTINATION_TYPES id
+    destinations: [],
+    // Callers allowed to use the public API in public-api.js; empty lists turn it off
+    api: { extensionIds: [], origins: [] }
+  };
+
+  // chrome.storage.local key of the copied/exported link history
+  const HISTORY_STORAGE_KEY = 'linkHistory';
+
+  // Allowed range for the number of history entries kept
+  const HISTORY_LIMIT_RANGE = { min: 10, max: 500 };
+
+  /**
+   * Merge saved menu entries with the known options
+   * Keeps the saved order, drops unknown ids and appends options added since the last save
+   */
+  function normalizeMenuItems(savedItems) {
+    const knownIds = new Set(SLIDE_OPTIONS.map(option => option.id));
+    const items = [];
+    const seen = new Set();
+
+    for (const item of Array.isArray(savedItems) ? savedItems : []) {
+      if (item && knownIds.has(item.id) && !seen.has(item.id)) {
+        items.push({
+          id: item.id,
+          enabled: item.enabled !== false,
+          label: typeof item.label === 'string' ? item.label.trim() : ''
+        });
+        seen.add(item.id);
+      }
+    }
+
+    for (const defaultItem of DEFAULTS.menuItems) {
+      if (!seen.has(defaultItem.id)) {
+        items.push({ ...defaultItem });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Fill in missing settings with defaults
+   */
+  function normalize(stored = {}) {
+    return {
+      ...DEFAULTS,
+      ...stored,
+      menuItems: normalizeMenuItems(stored.menuItems),
+      copyFormat: COPY_FORMATS.some(format => format.id === stored.copyFormat) ? stored.copyFormat : DEFAULTS.copyFormat,
+      textCopy: normalizeTextCopy(stored.textCopy),
+      historyLimit: normalizeHistoryLimit(stored.historyLimit),
+      shortener: normalizeShortener(stored.shortener),
+      destinations: normalizeDestinations(stored.destinations),
+      api: normalizeApiAllowlist(stored.api)
+    };
+  }
+
+  /**
+   * Fill in the speaker notes and slide text copy setting, dropping an unknown format
+   */
+  function normalizeTextCopy(textCopy) {
+    const format = textCopy && TEXT_COPY_FORMATS.some(candidate => candidate.id === textCopy.format)
+      ? textCopy.format
+      : DEFAULTS.textCopy.format;
+    return { format, includeLink: !textCopy || textCopy.includeLink !== false };
+  }
+
+  /**
+   * Drop destinations with an unknown type or without a target
+   */
+  function normalizeDestinations(destinations) {
+    return (Array.isArray(destinations) ? destinations : [])
+      .filter(destination => destination && DESTINATION_TYPES.some(type => type.id === destination.type) &&
+        typeof destination.target === 'string' && destination.target.trim())
+      .map(destination => ({
+        id: String(destination.id),
+        name: typeof destination.name === 'string' ? destination.name.trim() : '',
+        type: destination.type,
+        target: destination.target.trim()
+      }));
+  }
+
+  /**
+   * Keep the well-formed extension IDs and origins of the API allow-list, without duplicates
+   */
+  function normalizeApiAllowlist(allowlist) {
+    const extensionIds = allowlist && Array.isArray(allowlist.extensionIds) ? allowlist.extensionIds : [];
+    const origins = allowlist && Array.isArray(allowlist.origins) ? allowlist.origins : [];
+    return {
+      extensionIds: [...new Set(extensionIds.filter(isExtensionId))],
+      origins: [...new Set(origins.map(getOrigin).filter(Boolean))]
+    };
+  }
+
+  /**
+   * Check that a value looks like a Chrome extension ID (32 letters a-p)
+   */
+  function isExtensionId(value) {
+    return typeof value === 'string' && /^[a-p]{32}$/.test(value);
+  }
+
+  /**
+   * Origin of an http(s) URL, e.g. "https://intranet.example.com", or null for anything else
+   */
+  function getOrigin(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' || url.protocol === 'http:' ? url.origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Keep only the known string fields of the shortener setting
+   */
+  function normalizeShortener(shortener) {
+    const result = { ...DEFAULTS.shortener };
+    for (const key of Object.keys(result)) {
+      if (shortener && typeof shortener[key] === 'string') {
+        result[key] = shortener[key].trim();
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Clamp the history size to the allowed range
+   */
+  function normalizeHistoryLimit(value) {
+    const limit = Math.round(Number(value));
+    if (!Number.isFinite(limit)) {
+      return DEFAULTS.historyLimit;
+    }
+    return Math.min(HISTORY_LIMIT_RANGE.max, Math.max(HISTORY_LIMIT_RANGE.min, limit));
+  }
+
+  /**
+   * Get enabled slide options in the user's order, with their display text applied
+   */
+  function getMenuOptions(settings) {
+    return normalizeMenuItems(settings && settings.menuItems)
+      .filter(item => item.enabled)
+      .map(item => {
+        const option = SLIDE_OPTIONS.find(candidate => candidate.id === item.id);
+        return { ...option, text: item.label || option.text };
+      });
+  }
+
+  /**
+   * Load settings from chrome.storage.sync
+   */
+  async function load() {
+    const stored = await chrome.storage.sync.get(DEFAULTS);
+    return normalize(stored);
+  }
+
+  /**
+   * Save (part of) the settings to chrome.storage.sync
+   */
+  async function save(partialSettings) {
+    await chrome.storage.sync.set(partialSettings);
+  }
+
+  /**
+   * Load per-device state (e.g. last-used dialog choices) from chrome.storage.local
+   */
+  async function loadLocal(defaults) {
+    return chrome.storage.local.get(defaults);
+  }
+
+  /**
+   * Save per-device state to chrome.storage.local
+   */
+  async function saveLocal(values) {
+    await chrome.storage.local.set(values);
+  }
+
+  /**
+   * Call back with the full settings whenever they change
+   */
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync') {
+        return;
+      }
+      load().then(callback);
+    });
+  }
+
+  /**
+   * Get the display name of an export format, e.g. "PowerPoint" for "pptx"
+   */
+  function getExportFormatName(format) {
+    const exportFormat = EXPORT_FORMATS.find(candidate => candidate.format === format);
+    return exportFormat ? exportFormat.name : String(format).toUpperCase();
+  }
+
+  /**
+   * Origin pattern of an http(s) URL, as needed for chrome.permissions, or null for anything else
+   */
+  function getOriginPattern(value) {
+    const origin = getOrigin(value);
+    return origin ? `${origin}/*` : null;
+  }
+
+  return {
+    EXPORT_FORMATS,
+    SLIDE_OPTIONS,
+    COPY_FORMATS,
+    TEXT_COPY_FORMATS,
+    DESTINATION_TYPES,
+    DEFAULTS,
+    HISTORY_STORAGE_KEY,
+    HISTORY_LIMIT_RANGE,
+    normalize,
+    normalizeMenuItems,
+    getMenuOptions,
+    getExportFormatName,
+    getOrigin,
+    getOriginPattern,
+    isExtensionId,
+    load,
+    save,
+    loadLocal,
+    saveLocal,
+    onChange
+  };
+})();
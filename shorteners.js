@@ -0,0 +1,83 @@
+// Google Slides Current Slide URL Copier - Link Shorteners
+// Loaded by the background worker, which can reach the configured endpoint once its host permission is granted
+// To add a service, add an adapter with an `id`, a display `name` and `shorten(longUrl, config)`
+
+const SlideUrlCopierShorteners = (() => {
+  // Give up on a slow shortener so the full link can be copied instead
+  const REQUEST_TIMEOUT_MS = 8000;
+
+  const ADAPTERS = [
+    {
+      // YOURLS: endpoint is the yourls-api.php URL, key is the secret signature token
+      id: 'yourls',
+      name: 'YOURLS',
+      endpointPlaceholder: 'https://sho.rt/yourls-api.php',
+      async shorten(longUrl, { endpoint, apiKey }) {
+        const body = new URLSearchParams({ action: 'shorturl', format: 'json', url: longUrl });
+        if (apiKey) {
+          body.set('signature', apiKey);
+        }
+        const data = await fetchJson(endpoint, { method: 'POST', body });
+        // YOURLS reports already-shortened URLs as a failure but still returns the short link
+        return data.shorturl;
+      }
+    },
+    {
+      // Kutt: endpoint is the instance URL, key is an API key from its settings page
+      id: 'kutt',
+      name: 'Kutt',
+      endpointPlaceholder: 'https://kutt.it',
+      async shorten(longUrl, { endpoint, apiKey }) {
+        const data = await fetchJson(new URL('/api/v2/links', endpoint).href, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-API-KEY': apiKey },
+          body: JSON.stringify({ target: longUrl })
+        });
+        return data.link;
+      }
+    }
+  ];
+
+  /**
+   * Fetch JSON with a timeout, rejecting on HTTP errors
+   */
+  async function fetchJson(url, options) {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Shortener request failed (HTTP ${response.status})`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Find the adapter for a service id
+   */
+  function getAdapter(id) {
+    return ADAPTERS.find(adapter => adapter.id === id) || null;
+  }
+
+  /**
+   * Shorten a URL with the configured service
+   * @param {string} longUrl
+   * @param {{service: string, endpoint: string, apiKey: string}} config - the `shortener` setting
+   * @returns {Promise<string>} the short link
+   */
+  async function shorten(longUrl, config) {
+    const adapter = getAdapter(config.service);
+    if (!adapter || !SlideUrlCopierSettings.getOriginPattern(config.endpoint)) {
+      throw new Error('No link shortener configured');
+    }
+
+    const shortUrl = await adapter.shorten(longUrl, config);
+    if (typeof shortUrl !== 'string' || !/^https?:\/\//.test(shortUrl)) {
+      throw new Error(`${adapter.name} did not return a short link`);
+    }
+    return shortUrl;
+  }
+
+  return {
+    ADAPTERS,
+    getAdapter,
+    shorten
+  };
+})();
@@ -0,0 +1,110 @@
+// Google Slides Current Slide URL Copier - Slide Links
+// Reading presentation and slide IDs from Slides URLs and building links to a slide
+// Pure functions of the URL parts they're given, so they can be checked without a Slides page
+
+const SlideUrlCopierLinks = (() => {
+  const DOCS_ORIGIN = 'https://docs.google.com';
+
+  // Path of each link mode, after the presentation ID
+  const MODE_PATHS = {
+    EDIT: 'edit',
+    DEMO: 'edit',
+    PRESENT: 'present',
+    MOBILE: 'mobilepresent',
+    EMBED: 'embed',
+    PUBLISHED: 'pub'
+  };
+
+  /**
+   * Get the presentation from a URL path: { id, isPublished } or null
+   * Handles /d/<id>/, account-prefixed /u/<n>/d/<id>/ and published /d/e/<2PACX-id>/ paths
+   */
+  function getPresentationRef(pathname) {
+    const match = pathname.match(/\/presentation\/(?:u\/\d+\/)?d\/(?:(e)\/)?([^/]+)/);
+    return match ? { id: match[2], isPublished: Boolean(match[1]) } : null;
+  }
+
+  /**
+   * Detect which Slides view a URL path shows: editor, present, preview, embed, published or other
+   */
+  function detectViewType(pathname) {
+    const match = pathname.match(/\/presentation\/(?:u\/\d+\/)?d\/(?:e\/)?[^/]+\/([^/]+)/);
+
+    switch (match && match[1]) {
+      case 'edit':
+        return 'editor';
+      case 'present':
+      case 'mobilepresent':
+        return 'present';
+      case 'preview':
+        return 'preview';
+      case 'embed':
+      case 'pubembed':
+        return 'embed';
+      case 'pub':
+        return 'published';
+      default:
+        return 'other';
+    }
+  }
+
+  /**
+   * Read the slide from a URL hash: { slideId } for #slide=id.<object ID>,
+   * { position } for the 1-based #slide=<number>, or null (also for a malformed escape such as %E0)
+   * The slide ID is not validated; see isValidSlideObjectId
+   */
+  function parseSlideHash(hash) {
+    const idMatch = hash.match(/[#&]slide=id\.([^&]+)/);
+    if (idMatch) {
+      try {
+        return { slideId: decodeURIComponent(idMatch[1]) };
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const positionMatch = hash.match(/[#&]slide=(\d+)(?:&|$)/);
+    return positionMatch ? { position: Number(positionMatch[1]) } : null;
+  }
+
+  /**
+   * Check that a value looks like a Slides page object ID (e.g. "p", "g2a5b3c4d5e_0_12")
+   */
+  function isValidSlideObjectId(slideId) {
+    return typeof slideId === 'string' && /^[A-Za-z0-9_][A-Za-z0-9_:-]{0,99}$/.test(slideId);
+  }
+
+  /**
+   * Build the link to a slide in a link mode, or its export URL when exportFormat is set
+   * params adds query parameters such as start, loop, delayms or disco (comment thread); empty ones are left out
+   */
+  function formatSlideUrl({ presentation, slideId, mode = 'EDIT', exportFormat = null, params = {} }) {
+    const baseUrl = `${DOCS_ORIGIN}/presentation/d/${presentation.isPublished ? 'e/' : ''}${presentation.id}`;
+
+    if (exportFormat) {
+      return `${baseUrl}/export?format=${exportFormat}&slide=${slideId}`;
+    }
+
+    const query = new URLSearchParams();
+    if (mode === 'DEMO') {
+      query.set('rm', 'demo');
+    }
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== null && value !== undefined && value !== '') {
+        query.set(key, value);
+      }
+    }
+
+    const search = query.toString();
+    return `${baseUrl}/${MODE_PATHS[mode] || MODE_PATHS.EDIT}${search ? `?${search}` : ''}#slide=id.${slideId}`;
+  }
+
+  return {
+    DOCS_ORIGIN,
+    getPresentationRef,
+    detectViewType,
+    parseSlideHash,
+    isValidSlideObjectId,
+    formatSlideUrl
+  };
+})();
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./harness');
+
+const writers = loadModule('bundle-writers.js', 'SlideBundleWriters');
+
+const ZIP_LOCAL_HEADER = 0x04034B50;
+const ZIP_CENTRAL_HEADER = 0x02014B50;
+const ZIP_END_RECORD = 0x06054B50;
+
+async function readBytes(blob) {
+  return Buffer.from(await blob.arrayBuffer());
+}
+
+/**
+ * Read a ZIP's end record and central directory entries
+ */
+function readZip(bytes) {
+  const endOffset = bytes.length - 22;
+  assert.equal(bytes.readUInt32LE(endOffset), ZIP_END_RECORD);
+  const end = {
+    entriesOnDisk: bytes.readUInt16LE(endOffset + 8),
+    entries: bytes.readUInt16LE(endOffset + 10),
+    directorySize: bytes.readUInt32LE(endOffset + 12),
+    directoryOffset: bytes.readUInt32LE(endOffset + 16)
+  };
+
+  const entries = [];
+  let offset = end.directoryOffset;
+  for (let index = 0; index < end.entries; index++) {
+    assert.equal(bytes.readUInt32LE(offset), ZIP_CENTRAL_HEADER);
+    const nameLength = bytes.readUInt16LE(offset + 28);
+    entries.push({
+      flags: bytes.readUInt16LE(offset + 8),
+      crc: bytes.readUInt32LE(offset + 16),
+      size: bytes.readUInt32LE(offset + 24),
+      name: bytes.toString('utf8', offset + 46, offset + 46 + nameLength),
+      localHeaderOffset: bytes.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength;
+  }
+  assert.equal(offset - end.directoryOffset, end.directorySize);
+  assert.equal(offset, endOffset);
+
+  return { end, entries };
+}
+
+test('ZIP entries carry the CRC-32 of their data', async () => {
+  const bytes = await readBytes(writers.createZip([{ name: 'check.txt', data: Buffer.from('123456789') }]));
+
+  // Standard CRC-32 check value
+  assert.equal(bytes.readUInt32LE(0), ZIP_LOCAL_HEADER);
+  assert.equal(bytes.readUInt32LE(14), 0xCBF43926);
+  assert.equal(readZip(bytes).entries[0].crc, 0xCBF43926);
+});
+
+test('ZIP central directory and end record point at the right offsets', async () => {
+  const files = [
+    { name: 'Slide 1.png', data: Buffer.from('first slide') },
+    { name: 'Folie ä 2.png', data: Buffer.from([0, 1, 2, 255]) },
+    { name: 'empty.txt', data: Buffer.alloc(0) }
+  ];
+  const blob = writers.createZip(files);
+  assert.equal(blob.type, 'application/zip');
+  const bytes = await readBytes(blob);
+
+  const { end, entries } = readZip(bytes);
+  assert.equal(end.entries, 3);
+  assert.equal(end.entriesOnDisk, 3);
+  assert.deepEqual(entries.map(entry => entry.name), files.map(file => file.name));
+
+  entries.forEach((entry, index) => {
+    const offset = entry.localHeaderOffset;
+    const nameLength = bytes.readUInt16LE(offset + 26);
+    const dataOffset = offset + 30 + nameLength;
+
+    assert.equal(bytes.readUInt32LE(offset), ZIP_LOCAL_HEADER);
+    assert.equal(bytes.readUInt16LE(offset + 8), 0, 'Stored without compression');
+    assert.equal(bytes.readUInt32LE(offset + 14), entry.crc);
+    assert.equal(bytes.toString('utf8', offset + 30, dataOffset), files[index].name);
+    assert.equal(entry.flags & 0x0800, 0x0800, 'UTF-8 file name flag');
+    assert.equal(entry.size, files[index].data.length);
+    assert.deepEqual(bytes.subarray(dataOffset, dataOffset + entry.size), files[index].data);
+  });
+
+  // The central directory follows the last file's data
+  const last = entries.at(-1);
+  assert.equal(end.directoryOffset, last.localHeaderOffset + 30 + Buffer.byteLength(last.name) + last.size);
+});
+
+test('an empty ZIP is just the end record', async () => {
+  const bytes = await readBytes(writers.createZip([]));
+
+  assert.equal(bytes.length, 22);
+  assert.deepEqual(readZip(bytes).end, { entriesOnDisk: 0, entries: 0, directorySize: 0, directoryOffset: 0 });
+});
+
+test('PDF xref offsets point at each object and startxref at the xref table', async () => {
+  // Not real JPEGs: the writer embeds the bytes without decoding them
+  const images = [
+    { data: Buffer.from('\xFF\xD8first\xFF\xD9', 'latin1'), width: 960, height: 540 },
+    { data: Buffer.from('\xFF\xD8second\xFF\xD9', 'latin1'), width: 1440, height: 810 }
+  ];
+  const blob = writers.createPdfFromJpegs(images);
+  assert.equal(blob.type, 'application/pdf');
+  const bytes = await readBytes(blob);
+  const pdf = bytes.toString('latin1');
+
+  assert.ok(pdf.startsWith('%PDF-1.4\n'));
+  assert.ok(pdf.endsWith('%%EOF\n'));
+
+  const xrefOffset = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  assert.ok(pdf.startsWith('xref\n', xrefOffset));
+
+  const [, firstObject, count] = pdf.slice(xrefOffset).match(/^xref\n(\d+) (\d+)\n/);
+  assert.equal(Number(firstObject), 0);
+  assert.equal(Number(count), 1 + 2 + images.length * 3);
+  assert.match(pdf, new RegExp(`/Size ${count} /Root 1 0 R`));
+
+  const rows = pdf.slice(xrefOffset).split('\n').slice(2, 2 + Number(count));
+  assert.equal(rows[0], '0000000000 65535 f ');
+  rows.slice(1).forEach((row, index) => {
+    const [, offset] = row.match(/^(\d{10}) 00000 n $/);
+    assert.ok(pdf.startsWith(`${index + 1} 0 obj\n`, Number(offset)), `Object ${index + 1} not at ${offset}`);
+  });
+});
+
+test('PDF pages are sized in points and embed each JPEG as-is', async () => {
+  const images = [
+    { data: Buffer.from('\xFF\xD8first\xFF\xD9', 'latin1'), width: 960, height: 540 },
+    { data: Buffer.from('\xFF\xD8second\xFF\xD9', 'latin1'), width: 1440, height: 810 }
+  ];
+  const pdf = (await readBytes(writers.createPdfFromJpegs(images))).toString('latin1');
+
+  assert.match(pdf, /\/Type \/Pages \/Kids \[3 0 R 6 0 R\] \/Count 2/);
+  assert.match(pdf, /^3 0 obj\n<< \/Type \/Page \/Parent 2 0 R \/MediaBox \[0 0 720 405\]/m);
+  assert.match(pdf, /^6 0 obj\n<< \/Type \/Page \/Parent 2 0 R \/MediaBox \[0 0 1080 608\]/m);
+
+  images.forEach((image, index) => {
+    const data = image.data.toString('latin1');
+    assert.ok(pdf.includes(`/Filter /DCTDecode /Length ${image.data.length} >>\nstream\n${data}\nendstream`), `Image ${index + 1} not embedded`);
+  });
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, openFrame, appendFixture, deliverMessages, waitFor } = require('./harness');
+
+const EDITOR_URL = 'https://docs.google.com/presentation/d/abc123/edit';
+const SHARE_URL = 'https://docs.google.com/drivesharing/driveshare?id=abc123&embedOrigin=https%3A%2F%2Fdocs.google.com';
+const INJECTED = '[data-slide-url-copier-option]';
+
+/**
+ * Open the editor with the Quick Actions menu fixture in the given state and wait for our options
+ */
+async function openEditor(t, { hash = '', menu = 'quick-actions-menu-open' } = {}) {
+  const page = openPage({ fixture: 'editor', url: `${EDITOR_URL}${hash}` });
+  t.after(() => page.close());
+  const menuElement = appendFixture(page, menu);
+  await waitFor(() => menuElement.querySelector(INJECTED), { message: 'Options not injected' });
+  return { page, menu: menuElement };
+}
+
+/**
+ * Click one of our Quick Actions menu options and wait for the copied text
+ */
+async function copyWithOption(page, menu, optionId) {
+  const copied = page.clipboard.length;
+  menu.querySelector(`[data-slide-url-copier-option="${optionId}"]`).click();
+  await waitFor(() => page.clipboard.length > copied, { message: 'Nothing copied' });
+  return page.clipboard[page.clipboard.length - 1];
+}
+
+test('options are added once, right after Google\'s "Copy link"', async (t) => {
+  const { page, menu } = await openEditor(t);
+
+  const items = [...menu.querySelectorAll('[role="menuitem"]')];
+  const injected = items.filter(item => item.matches(INJECTED));
+  assert.equal(items[0].textContent.trim(), 'Copy link');
+  assert.equal(injected[0], items[1]);
+  assert.equal(items.at(-1).textContent.trim(), 'Email collaborators');
+  assert.equal(new Set(injected.map(item => item.id)).size, injected.length);
+  assert.equal(page.document.getElementById('slide-url-copier-fallback-button'), null);
+  assert.deepEqual(page.errors, []);
+});
+
+test('menu items look like Google\'s and use the option text', async (t) => {
+  const { menu } = await openEditor(t);
+
+  const linkItem = menu.querySelector('[data-slide-url-copier-option="current-slide-present-option"]');
+  assert.ok(linkItem.matches('.goog-menuitem.scb-sqa-menuitem[role="menuitem"]'));
+  assert.equal(linkItem.textContent.trim(), 'Copy current slide presentation link');
+  assert.ok(linkItem.querySelector('.scb-sqa-copy-link-icon'));
+
+  const exportItem = menu.querySelector('[data-slide-url-copier-option="current-slide-export-pdf"]');
+  assert.ok(exportItem.querySelector('.docs-icon-editors-ia-download'));
+  assert.equal(exportItem.querySelector('.scb-sqa-copy-link-icon'), null);
+});
+
+test('the current slide comes from the URL hash object ID', async (t) => {
+  const { page, menu } = await openEditor(t, { hash: '#slide=id.g2a5b3c4d5e_0_12' });
+
+  assert.equal(await copyWithOption(page, menu, 'current-slide-copy-option'),
+    'https://docs.google.com/presentation/d/abc123/edit#slide=id.g2a5b3c4d5e_0_12');
+  assert.equal(await copyWithOption(page, menu, 'current-slide-present-option'),
+    'https://docs.google.com/presentation/d/abc123/present#slide=id.g2a5b3c4d5e_0_12');
+});
+
+test('a slide position in the URL hash is mapped through the filmstrip', async (t) => {
+  const { page, menu } = await openEditor(t, { hash: '#slide=3' });
+
+  assert.equal(await copyWithOption(page, menu, 'current-slide-demo-option'),
+    'https://docs.google.com/presentation/d/abc123/edit?rm=demo#slide=id.g2a5b3c4d5e_0_30');
+});
+
+test('without a slide in the URL the selected filmstrip thumbnail is used', async (t) => {
+  const { page, menu } = await openEditor(t);
+
+  assert.equal(await copyWithOption(page, menu, 'current-slide-copy-option'),
+    'https://docs.google.com/presentation/d/abc123/edit#slide=id.p');
+});
+
+test('options are added to a closed menu, ready for when it opens', async (t) => {
+  const { page, menu } = await openEditor(t, { menu: 'quick-actions-menu-closed' });
+
+  assert.equal(menu.style.visibility, 'hidden');
+  assert.equal(menu.querySelectorAll('[data-slide-url-copier-option="current-slide-copy-option"]').length, 1);
+  assert.equal(page.document.getElementById('slide-url-copier-fallback-button'), null);
+});
+
+test('the present view offers a floating button for the slide in the URL', async (t) => {
+  const page = openPage({ fixture: 'present', url: 'https://docs.google.com/presentation/d/abc123/present#slide=id.g2a5b3c4d5e_0_12' });
+  t.after(() => page.close());
+
+  await waitFor(() => page.document.getElementById('slide-url-copier-viewer-button'), { message: 'No viewer button' });
+  page.document.getElementById('slide-url-copier-viewer-button').click();
+  const menu = page.document.getElementById('slide-url-copier-thumbnail-menu');
+  menu.querySelector('[role="menuitem"]').click();
+
+  await waitFor(() => page.clipboard.length > 0, { message: 'Nothing copied' });
+  assert.equal(page.clipboard[0], 'https://docs.google.com/presentation/d/abc123/edit#slide=id.g2a5b3c4d5e_0_12');
+  assert.equal(page.document.querySelector(INJECTED), null);
+});
+
+test('the share iframe gets the slide URL from the editor', async (t) => {
+  const page = openPage({ fixture: 'editor', url: `${EDITOR_URL}#slide=id.g2a5b3c4d5e_0_12`, frames: { [SHARE_URL]: 'share-iframe' } });
+  t.after(() => page.close());
+
+  const iframe = page.document.createElement('iframe');
+  iframe.src = SHARE_URL;
+  const framePending = openFrame(page, iframe);
+  page.document.body.appendChild(iframe);
+  const frame = await framePending;
+  deliverMessages({ from: frame.window, to: page.window });
+  deliverMessages({ from: page.window, to: frame.window });
+
+  const url = await frame.window.eval("SlideUrlCopierFrames.requestSlideUrl(window, { mode: 'PRESENT' })");
+  assert.equal(url, 'https://docs.google.com/presentation/d/abc123/present#slide=id.g2a5b3c4d5e_0_12');
+
+  // The share dialog has no Quick Actions menu, so nothing is added to it
+  assert.equal(frame.document.querySelector(INJECTED), null);
+  assert.equal(frame.document.getElementById('slide-url-copier-fallback-button'), null);
+  assert.deepEqual(page.errors, []);
+});
+
+test('copied speaker notes are recorded in the link history', async (t) => {
+  const page = openPage({
+    fixture: 'editor',
+    url: `${EDITOR_URL}#slide=id.p`,
+    settings: { menuItems: [{ id: 'current-slide-copy-notes', enabled: true, label: '' }] }
+  });
+  t.after(() => page.close());
+  // jsdom does no layout: give the notes panel a box and its rendered text
+  const notes = page.document.getElementById('speakernotes-workspace');
+  notes.getClientRects = () => [{}];
+  Object.defineProperty(notes, 'innerText', { get: () => notes.textContent });
+  const menu = appendFixture(page, 'quick-actions-menu-open');
+  await waitFor(() => menu.querySelector('[data-slide-url-copier-option="current-slide-copy-notes"]'), { message: 'Notes option not injected' });
+
+  assert.match(await copyWithOption(page, menu, 'current-slide-copy-notes'), /Start with the pricing change\./);
+  await waitFor(() => page.messages.some(message => message.type === 'RECORD_HISTORY'), { message: 'No history entry' });
+  const { entry } = page.messages.find(message => message.type === 'RECORD_HISTORY');
+  assert.equal(entry.kind, 'notes');
+  assert.equal(entry.url, 'https://docs.google.com/presentation/d/abc123/edit#slide=id.p');
+});
@@ -0,0 +1,242 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { runScripts, sleep } = require('./harness');
+
+const DOCS_ORIGIN = 'https://docs.google.com';
+const PROTOCOL = 'slide-url-copier-frames';
+
+/**
+ * An editor window with the share iframe inside it, a frame nested in that, and an unrelated window,
+ * each with frame-messages.js loaded
+ * postMessage calls are recorded per window instead of delivered; tests deliver messages themselves
+ */
+function createFrames(t) {
+  const dom = new JSDOM('<!DOCTYPE html><body><iframe></iframe></body>', {
+    url: `${DOCS_ORIGIN}/presentation/d/abc123/edit`,
+    runScripts: 'dangerously'
+  });
+  const other = new JSDOM('<!DOCTYPE html><body></body>', { url: `${DOCS_ORIGIN}/presentation/d/other/edit`, runScripts: 'dangerously' });
+  t.after(() => {
+    dom.window.close();
+    other.window.close();
+  });
+
+  const main = dom.window;
+  const shareFrame = main.document.querySelector('iframe').contentWindow;
+  const nestedIframe = shareFrame.document.createElement('iframe');
+  shareFrame.document.body.appendChild(nestedIframe);
+  const nestedFrame = nestedIframe.contentWindow;
+
+  const posted = new Map();
+  for (const window of [main, shareFrame, nestedFrame, other.window]) {
+    runScripts(window, ['frame-messages.js']);
+    posted.set(window, []);
+    window.postMessage = (data, targetOrigin) => posted.get(window).push({ data, targetOrigin });
+  }
+
+  return { main, shareFrame, nestedFrame, otherWindow: other.window, posted };
+}
+
+/**
+ * Deliver a message to a window as if posted by source from origin
+ */
+function receive(window, { data, origin = DOCS_ORIGIN, source }) {
+  window.dispatchEvent(new window.MessageEvent('message', { data, origin, source }));
+}
+
+function slideUrlRequest(fields = {}) {
+  return { protocol: PROTOCOL, version: 1, type: 'GET_SLIDE_URL', id: 'request-1', mode: 'PRESENT', exportFormat: null, ...fields };
+}
+
+function slideUrlResponse(request, fields = {}) {
+  return { protocol: PROTOCOL, version: 1, type: 'SLIDE_URL_RESPONSE', id: request.id, url: `${DOCS_ORIGIN}/presentation/d/abc123/present#slide=id.p`, ...fields };
+}
+
+/**
+ * Make the main window answer requests, building URLs from the requested mode
+ */
+function answerRequests(main) {
+  const ignored = [];
+  main.eval('SlideUrlCopierFrames').answerSlideUrlRequests(main, {
+    getSlideUrl: ({ mode, exportFormat }) => {
+      if (mode === 'BOGUS') {
+        throw new Error(`Unknown link mode: ${mode}`);
+      }
+      return `${DOCS_ORIGIN}/presentation/d/abc123/${mode.toLowerCase()}${exportFormat ? `?format=${exportFormat}` : ''}#slide=id.p`;
+    },
+    onIgnored: event => ignored.push(event.origin)
+  });
+  return ignored;
+}
+
+/**
+ * Start a slide URL request from a frame and return it with the message it posted to the main window
+ */
+function startRequest({ main, posted }, frame, options) {
+  const sent = posted.get(main).length;
+  const promise = frame.eval('SlideUrlCopierFrames').requestSlideUrl(frame, options);
+  return { promise, request: posted.get(main)[sent].data, targetOrigin: posted.get(main)[sent].targetOrigin };
+}
+
+test('the main frame answers a Google Docs frame inside it', (t) => {
+  const frames = createFrames(t);
+  answerRequests(frames.main);
+
+  receive(frames.main, { data: slideUrlRequest({ exportFormat: 'pdf' }), source: frames.shareFrame });
+
+  const [{ data, targetOrigin }] = frames.posted.get(frames.shareFrame);
+  assert.equal(targetOrigin, DOCS_ORIGIN);
+  assert.deepEqual({ ...data }, slideUrlResponse(slideUrlRequest(), { url: `${DOCS_ORIGIN}/presentation/d/abc123/present?format=pdf#slide=id.p` }));
+});
+
+test('the main frame answers frames nested deeper inside it', (t) => {
+  const frames = createFrames(t);
+  answerRequests(frames.main);
+
+  receive(frames.main, { data: slideUrlRequest(), source: frames.nestedFrame });
+
+  assert.equal(frames.posted.get(frames.nestedFrame).length, 1);
+});
+
+test('requests from another origin are ignored', (t) => {
+  const frames = createFrames(t);
+  const ignored = answerRequests(frames.main);
+
+  receive(frames.main, { data: slideUrlRequest(), origin: 'https://evil.example', source: frames.shareFrame });
+  receive(frames.main, { data: slideUrlRequest(), origin: 'http://docs.google.com', source: frames.shareFrame });
+
+  assert.deepEqual(frames.posted.get(frames.shareFrame), []);
+  assert.deepEqual(ignored, ['https://evil.example', 'http://docs.google.com']);
+});
+
+test('requests from windows outside the page are ignored', (t) => {
+  const frames = createFrames(t);
+  const ignored = answerRequests(frames.main);
+
+  receive(frames.main, { data: slideUrlRequest(), source: frames.otherWindow });
+  receive(frames.main, { data: slideUrlRequest(), source: frames.main });
+  receive(frames.main, { data: slideUrlRequest(), source: null });
+
+  assert.deepEqual(frames.posted.get(frames.otherWindow), []);
+  assert.deepEqual(frames.posted.get(frames.main), []);
+  assert.equal(ignored.length, 3);
+});
+
+test('requests without their own ID are ignored', (t) => {
+  const frames = createFrames(t);
+  const ignored = answerRequests(frames.main);
+
+  receive(frames.main, { data: slideUrlRequest({ id: '' }), source: frames.shareFrame });
+  receive(frames.main, { data: slideUrlRequest({ id: 42 }), source: frames.shareFrame });
+
+  assert.deepEqual(frames.posted.get(frames.shareFrame), []);
+  assert.equal(ignored.length, 2);
+});
+
+test('messages of another protocol are left alone', (t) => {
+  const frames = createFrames(t);
+  const ignored = answerRequests(frames.main);
+
+  receive(frames.main, { data: slideUrlRequest({ protocol: 'other' }), source: frames.shareFrame });
+  receive(frames.main, { data: { type: 'GET_SLIDE_URL' }, source: frames.shareFrame });
+  receive(frames.main, { data: 'GET_SLIDE_URL', source: frames.shareFrame });
+
+  assert.deepEqual(frames.posted.get(frames.shareFrame), []);
+  assert.deepEqual(ignored, []);
+});
+
+test('requests of another protocol version get an error', (t) => {
+  const frames = createFrames(t);
+  answerRequests(frames.main);
+
+  receive(frames.main, { data: slideUrlRequest({ version: 2 }), source: frames.shareFrame });
+
+  const [{ data }] = frames.posted.get(frames.shareFrame);
+  assert.equal(data.id, 'request-1');
+  assert.equal(data.url, undefined);
+  assert.equal(data.error, 'Unsupported frame protocol version: 2');
+});
+
+test('a failure to build the URL is sent back as an error', (t) => {
+  const frames = createFrames(t);
+  answerRequests(frames.main);
+
+  receive(frames.main, { data: slideUrlRequest({ mode: 'BOGUS' }), source: frames.shareFrame });
+
+  assert.equal(frames.posted.get(frames.shareFrame)[0].data.error, 'Unknown link mode: BOGUS');
+});
+
+test('a frame asks the main frame, only at the Google Docs origin', async (t) => {
+  const frames = createFrames(t);
+
+  const { promise, request, targetOrigin } = startRequest(frames, frames.shareFrame, { mode: 'PRESENT', exportFormat: null });
+  assert.equal(targetOrigin, DOCS_ORIGIN);
+  assert.equal(request.protocol, PROTOCOL);
+  assert.equal(request.version, 1);
+  assert.equal(request.type, 'GET_SLIDE_URL');
+  assert.equal(request.mode, 'PRESENT');
+  assert.match(request.id, /^[0-9a-f-]{36}$/);
+
+  receive(frames.shareFrame, { data: slideUrlResponse(request), source: frames.main });
+  assert.equal(await promise, `${DOCS_ORIGIN}/presentation/d/abc123/present#slide=id.p`);
+});
+
+test('forged responses are ignored until the main frame answers', async (t) => {
+  const frames = createFrames(t);
+  const { promise, request } = startRequest(frames, frames.shareFrame, { mode: 'PRESENT' });
+  const forgedUrl = `${DOCS_ORIGIN}/presentation/d/forged/edit#slide=id.p`;
+
+  // Wrong origin, a sender other than the main frame, another request's ID and another protocol
+  receive(frames.shareFrame, { data: slideUrlResponse(request, { url: forgedUrl }), origin: 'https://evil.example', source: frames.main });
+  receive(frames.shareFrame, { data: slideUrlResponse(request, { url: forgedUrl }), source: frames.nestedFrame });
+  receive(frames.shareFrame, { data: slideUrlResponse(request, { url: forgedUrl }), source: frames.otherWindow });
+  receive(frames.shareFrame, { data: slideUrlResponse({ id: 'request-1' }, { url: forgedUrl }), source: frames.main });
+  receive(frames.shareFrame, { data: slideUrlResponse(request, { url: forgedUrl, protocol: 'other' }), source: frames.main });
+
+  const settled = await Promise.race([promise.then(() => 'settled', () => 'settled'), sleep(20).then(() => 'pending')]);
+  assert.equal(settled, 'pending');
+
+  receive(frames.shareFrame, { data: slideUrlResponse(request), source: frames.main });
+  assert.equal(await promise, `${DOCS_ORIGIN}/presentation/d/abc123/present#slide=id.p`);
+});
+
+test('concurrent requests each get their own answer', async (t) => {
+  const frames = createFrames(t);
+  const first = startRequest(frames, frames.shareFrame, { mode: 'EDIT' });
+  const second = startRequest(frames, frames.shareFrame, { mode: 'PRESENT' });
+  const fromNested = startRequest(frames, frames.nestedFrame, { mode: 'EMBED' });
+  assert.notEqual(first.request.id, second.request.id);
+
+  // Answers arrive in reverse order, and each frame sees the other frame's answer too
+  const answers = [
+    [fromNested, frames.nestedFrame, 'embed'],
+    [second, frames.shareFrame, 'present'],
+    [first, frames.shareFrame, 'edit']
+  ];
+  for (const [{ request }, frame, path] of answers) {
+    const response = slideUrlResponse(request, { url: `${DOCS_ORIGIN}/presentation/d/abc123/${path}#slide=id.p` });
+    receive(frames.shareFrame, { data: response, source: frames.main });
+    receive(frames.nestedFrame, { data: response, source: frames.main });
+  }
+
+  assert.equal(await first.promise, `${DOCS_ORIGIN}/presentation/d/abc123/edit#slide=id.p`);
+  assert.equal(await second.promise, `${DOCS_ORIGIN}/presentation/d/abc123/present#slide=id.p`);
+  assert.equal(await fromNested.promise, `${DOCS_ORIGIN}/presentation/d/abc123/embed#slide=id.p`);
+});
+
+test('answers of another version, with an error or with a foreign URL are rejected', async (t) => {
+  const frames = createFrames(t);
+  const cases = [
+    [{ version: 2 }, 'Unsupported frame protocol version: 2'],
+    [{ url: undefined, error: 'Unknown link mode: BOGUS' }, 'Unknown link mode: BOGUS'],
+    [{ url: 'https://evil.example/presentation/d/abc123/edit' }, 'Invalid slide URL response'],
+    [{ url: 'https://docs.google.com.evil.example/x' }, 'Invalid slide URL response']
+  ];
+
+  for (const [fields, message] of cases) {
+    const { promise, request } = startRequest(frames, frames.shareFrame, {});
+    receive(frames.shareFrame, { data: slideUrlResponse(request, fields), source: frames.main });
+    await assert.rejects(promise, { message });
+  }
+});
@@ -0,0 +1,252 @@
+// Test harness: loads the extension's content scripts into jsdom pages built from the recorded fixtures,
+// with an in-memory stand-in for the chrome.* APIs they use
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Content scripts in the order Chrome injects them
+const CONTENT_SCRIPTS = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')).content_scripts[0].js;
+
+const MESSAGES = JSON.parse(fs.readFileSync(path.join(ROOT, '_locales', 'en', 'messages.json'), 'utf8'));
+
+/**
+ * Read a fixture from test/fixtures
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+}
+
+/**
+ * Serves fixtures for iframe URLs, so frames load without a network
+ */
+class FixtureLoader extends ResourceLoader {
+  constructor(frames) {
+    super();
+    this.frames = frames;
+  }
+
+  fetch(url, options) {
+    const fixture = this.frames[url];
+    if (!fixture) {
+      return super.fetch(url, options);
+    }
+    return Promise.resolve(Buffer.from(readFixture(fixture)));
+  }
+}
+
+/**
+ * Open a Slides page from a fixture and run the content scripts in it
+ * frames maps iframe URLs to the fixtures they load; settings are stored in chrome.storage.sync first
+ * Returns { window, document, clipboard, messages, storage, errors, logs, close }
+ */
+function openPage({ fixture, url, settings = {}, frames = {} }) {
+  const errors = [];
+  const logs = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => errors.push(error));
+  // Production builds only log failures (marked ❌) and a few milestones
+  virtualConsole.on('log', (...args) => logs.push(args.join(' ')));
+
+  const dom = new JSDOM(readFixture(fixture), {
+    url,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    resources: new FixtureLoader(frames),
+    virtualConsole
+  });
+
+  const page = createPageContext(dom.window, { settings, errors, logs });
+  page.close = () => dom.window.close();
+  return page;
+}
+
+/**
+ * Wait for an iframe of a page to load and run the content scripts in it, as all_frames does
+ */
+function openFrame(page, iframe) {
+  return new Promise((resolve) => {
+    iframe.addEventListener('load', () => {
+      resolve(createPageContext(iframe.contentWindow, { settings: page.storage.sync.data, errors: page.errors, logs: page.logs }));
+    }, { once: true });
+  });
+}
+
+/**
+ * Stub the browser APIs jsdom lacks, then run the content scripts in a window
+ */
+function createPageContext(window, { settings, errors, logs }) {
+  const clipboard = [];
+  const messages = [];
+  const storage = createStorage({ sync: { ...settings }, local: {} });
+
+  window.TextEncoder = TextEncoder;
+  Object.defineProperty(window.navigator, 'clipboard', {
+    value: {
+      writeText: async (text) => {
+        clipboard.push(text);
+      },
+      write: async () => {
+        throw new Error('Rich text copies are not supported in tests; use copyFormat "url"');
+      }
+    }
+  });
+  window.chrome = {
+    i18n: { getMessage },
+    runtime: {
+      id: 'slide-url-copier-test',
+      sendMessage: async (message) => {
+        messages.push(message);
+      },
+      onMessage: { addListener() {} },
+      onConnect: { addListener() {} }
+    },
+    storage
+  };
+
+  runScripts(window, CONTENT_SCRIPTS);
+
+  return { window, document: window.document, clipboard, messages, storage, errors, logs };
+}
+
+/**
+ * Run extension scripts in a window as classic scripts, so their top-level constants are shared like in Chrome
+ */
+function runScripts(window, files) {
+  for (const file of files) {
+    const script = window.document.createElement('script');
+    script.textContent = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    window.document.documentElement.appendChild(script);
+    script.remove();
+  }
+}
+
+/**
+ * Load a shared module that needs no page (e.g. slide-links.js) and return its global, e.g. SlideUrlCopierLinks
+ */
+function loadModule(file, name) {
+  const context = vm.createContext({ URLSearchParams, TextEncoder, Blob });
+  return vm.runInContext(`${fs.readFileSync(path.join(ROOT, file), 'utf8')}\n${name};`, context, { filename: file });
+}
+
+/**
+ * Deliver a window's postMessage calls from one sender with the origin and source a browser would set;
+ * jsdom leaves both empty
+ */
+function deliverMessages({ from: sender, to: receiver }) {
+  receiver.postMessage = (data, targetOrigin) => {
+    if (targetOrigin !== '*' && targetOrigin !== receiver.location.origin) {
+      return;
+    }
+    const message = structuredClone(data);
+    setTimeout(() => {
+      receiver.dispatchEvent(new receiver.MessageEvent('message', { data: message, origin: sender.location.origin, source: sender }));
+    }, 0);
+  };
+}
+
+/**
+ * chrome.i18n.getMessage with the English messages
+ */
+function getMessage(key, substitutions = []) {
+  if (key === '@@bidi_dir') {
+    return 'ltr';
+  }
+  if (key === '@@ui_locale') {
+    return 'en';
+  }
+
+  const entry = MESSAGES[key];
+  if (!entry) {
+    return '';
+  }
+  return entry.message.replace(/\$([A-Z_]+)\$/g, (match, name) => {
+    const placeholder = entry.placeholders[name.toLowerCase()];
+    return substitutions[Number(placeholder.content.slice(1)) - 1];
+  });
+}
+
+/**
+ * In-memory chrome.storage with sync and local areas and onChanged
+ */
+function createStorage(initial) {
+  const listeners = [];
+
+  const createArea = (areaName) => {
+    const area = {
+      data: initial[areaName],
+      async get(keys = null) {
+        if (keys === null) {
+          return { ...area.data };
+        }
+        if (typeof keys === 'string' || Array.isArray(keys)) {
+          return Object.fromEntries([].concat(keys).filter(key => key in area.data).map(key => [key, area.data[key]]));
+        }
+        return Object.fromEntries(Object.entries(keys).map(([key, fallback]) => [key, key in area.data ? area.data[key] : fallback]));
+      },
+      async set(values) {
+        const changes = {};
+        for (const [key, value] of Object.entries(values)) {
+          changes[key] = { oldValue: area.data[key], newValue: value };
+          area.data[key] = value;
+        }
+        listeners.forEach(listener => listener(changes, areaName));
+      },
+      async remove(keys) {
+        for (const key of [].concat(keys)) {
+          delete area.data[key];
+        }
+      }
+    };
+    return area;
+  };
+
+  return {
+    sync: createArea('sync'),
+    local: createArea('local'),
+    onChanged: { addListener: listener => listeners.push(listener) }
+  };
+}
+
+/**
+ * Add a fixture's markup to the end of a page's body and return its first element
+ */
+function appendFixture(page, name) {
+  const template = page.document.createElement('template');
+  template.innerHTML = readFixture(name);
+  const element = template.content.firstElementChild;
+  page.document.body.appendChild(template.content);
+  return element;
+}
+
+/**
+ * Wait until a condition holds, failing after a timeout
+ */
+async function waitFor(condition, { timeout = 1000, message = 'Condition not met' } = {}) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error(`${message} within ${timeout} ms`);
+    }
+    await sleep(10);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  openPage,
+  openFrame,
+  runScripts,
+  loadModule,
+  deliverMessages,
+  appendFixture,
+  waitFor,
+  sleep
+};
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, appendFixture, waitFor, sleep } = require('./harness');
+
+const EDITOR_URL = 'https://docs.google.com/presentation/d/abc123/edit#slide=id.p';
+const INJECTED = '[data-slide-url-copier-option]';
+
+function openEditor(t) {
+  const page = openPage({ fixture: 'editor', url: EDITOR_URL });
+  t.after(() => page.close());
+  return page;
+}
+
+/**
+ * Press the Quick Actions button like a user: Google opens or closes the menu on press, before the click
+ * The first press creates the menu
+ */
+function pressQuickActionsButton(page) {
+  const button = page.document.getElementById('scb-quick-actions-menu-button');
+  button.dispatchEvent(new page.window.Event('pointerdown', { bubbles: true }));
+
+  let menu = page.document.querySelector('.scb-sqa-menu');
+  if (!menu) {
+    menu = appendFixture(page, 'quick-actions-menu-open');
+  } else {
+    menu.style.visibility = menu.style.visibility === 'visible' ? 'hidden' : 'visible';
+  }
+  button.click();
+  return menu;
+}
+
+/**
+ * IDs of the enabled options, in menu order
+ */
+function getEnabledOptionIds(page) {
+  return [...page.window.eval('SlideUrlCopierSettings.getMenuOptions(SlideUrlCopierSettings.normalize())')].map(option => option.id);
+}
+
+/**
+ * Assert the page has exactly one set of our options, all in the Quick Actions menu
+ */
+function assertOneSetOfOptions(page, menu) {
+  const injected = [...page.document.querySelectorAll(INJECTED)];
+  assert.deepEqual(injected.map(item => item.getAttribute('data-slide-url-copier-option')), getEnabledOptionIds(page));
+  assert.ok(injected.every(item => item.parentElement === menu), 'Options outside the current menu');
+}
+
+/**
+ * Wait for the options in a menu, then let any re-injection settle
+ */
+async function waitForOptions(menu) {
+  await waitFor(() => menu.querySelector(INJECTED), { message: 'Options not injected' });
+  await sleep(200);
+}
+
+/**
+ * Assert nothing reported the Quick Actions menu as broken
+ */
+function assertMenuNotReportedMissing(page) {
+  assert.equal(page.document.getElementById('slide-url-copier-fallback-button'), null);
+  const record = page.storage.local.data['selectorDiagnostics:quickActionsMenu'];
+  assert.notEqual(record && record.status, 'missing');
+}
+
+test('opening and closing the menu repeatedly keeps one set of options', async (t) => {
+  const page = openEditor(t);
+  await sleep(100);
+
+  let menu;
+  for (let cycle = 0; cycle < 5; cycle++) {
+    menu = pressQuickActionsButton(page);
+    assert.equal(menu.style.visibility, 'visible');
+    await waitForOptions(menu);
+    assertOneSetOfOptions(page, menu);
+
+    pressQuickActionsButton(page);
+    assert.equal(menu.style.visibility, 'hidden');
+    await sleep(50);
+    assertOneSetOfOptions(page, menu);
+  }
+
+  // A closing click must not wait for the menu to show and then give up on it
+  await sleep(2300);
+  assertOneSetOfOptions(page, menu);
+  assertMenuNotReportedMissing(page);
+  assert.deepEqual(page.errors, []);
+});
+
+test('options come back once when Google rebuilds the menu items', async (t) => {
+  const page = openEditor(t);
+  const menu = appendFixture(page, 'quick-actions-menu-open');
+  await waitForOptions(menu);
+  const googleItems = [...menu.children].filter(item => !item.matches(INJECTED)).map(item => item.outerHTML).join('');
+
+  for (let rebuild = 0; rebuild < 3; rebuild++) {
+    menu.innerHTML = googleItems;
+    await waitForOptions(menu);
+    assertOneSetOfOptions(page, menu);
+  }
+  assertMenuNotReportedMissing(page);
+});
+
+test('a removed and recreated menu gets one set of options', async (t) => {
+  const page = openEditor(t);
+  let menu = appendFixture(page, 'quick-actions-menu-open');
+  await waitForOptions(menu);
+
+  for (let recreate = 0; recreate < 3; recreate++) {
+    menu.remove();
+    await sleep(20);
+    assert.equal(page.document.querySelector(INJECTED), null);
+
+    menu = appendFixture(page, 'quick-actions-menu-open');
+    await waitForOptions(menu);
+    assertOneSetOfOptions(page, menu);
+
+    // Google may add the menu inside a wrapper
+    menu.remove();
+    const wrapper = page.document.createElement('div');
+    wrapper.appendChild(menu);
+    page.document.body.appendChild(wrapper);
+    await sleep(20);
+    assertOneSetOfOptions(page, menu);
+  }
+  assertMenuNotReportedMissing(page);
+});
+
+test('opening another presentation in the tab keeps one set of options for the new deck', async (t) => {
+  const page = openEditor(t);
+  const menu = appendFixture(page, 'quick-actions-menu-open');
+  await waitForOptions(menu);
+
+  page.window.history.pushState({}, '', '/presentation/d/other456/edit#slide=id.g2a5b3c4d5e_0_12');
+  await sleep(300);
+  assertOneSetOfOptions(page, menu);
+
+  menu.querySelector('[data-slide-url-copier-option="current-slide-copy-option"]').click();
+  await waitFor(() => page.clipboard.length > 0, { message: 'Nothing copied' });
+  assert.equal(page.clipboard[0], 'https://docs.google.com/presentation/d/other456/edit#slide=id.g2a5b3c4d5e_0_12');
+  assertMenuNotReportedMissing(page);
+});
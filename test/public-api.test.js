@@ -0,0 +1,221 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { openPage, waitFor, sleep } = require('./harness');
+
+const EDITOR_URL = 'https://docs.google.com/presentation/d/abc123/edit';
+const ALLOWED_ORIGIN = 'https://intranet.example.com';
+
+/**
+ * Open the editor with ALLOWED_ORIGIN on the API allow-list, and wait for the settings to load
+ */
+async function openEditor(t) {
+  const page = openPage({
+    fixture: 'editor',
+    url: EDITOR_URL,
+    settings: { api: { origins: [ALLOWED_ORIGIN], extensionIds: [] } }
+  });
+  t.after(() => page.close());
+  await sleep(20);
+  return page;
+}
+
+/**
+ * A page script's window at an origin, recording the messages posted to it
+ */
+function createCaller(t, origin) {
+  const dom = new JSDOM('<!DOCTYPE html><body></body>', { url: `${origin}/slides-dashboard` });
+  t.after(() => dom.window.close());
+
+  const received = [];
+  dom.window.postMessage = (data, targetOrigin) => received.push({ data, targetOrigin });
+  return { window: dom.window, origin, received };
+}
+
+/**
+ * Post an API request to the page as the caller would
+ */
+function sendRequest(page, caller, fields) {
+  const data = { api: 'slide-url-copier', version: 1, type: 'request', id: 'request-1', ...fields };
+  page.window.dispatchEvent(new page.window.MessageEvent('message', { data, origin: caller.origin, source: caller.window }));
+}
+
+/**
+ * Send a request from an allowed caller and wait for its response
+ */
+async function callApi(t, page, fields) {
+  const caller = createCaller(t, ALLOWED_ORIGIN);
+  sendRequest(page, caller, fields);
+  await waitFor(() => caller.received.length > 0, { message: 'No response' });
+
+  const [{ data, targetOrigin }] = caller.received;
+  assert.equal(targetOrigin, ALLOWED_ORIGIN);
+  return data;
+}
+
+test('parseRequest checks the version, method and params', async (t) => {
+  const page = await openEditor(t);
+  const api = page.window.eval('SlideUrlCopierApi');
+  const request = fields => ({ api: 'slide-url-copier', version: 1, type: 'request', id: 'request-1', ...fields });
+  const code = fields => {
+    try {
+      api.parseRequest(request(fields));
+    } catch (error) {
+      return error.code;
+    }
+    return null;
+  };
+
+  assert.equal(code({ version: 2, method: 'getCurrentSlide' }), 'unsupported_version');
+  assert.equal(code({ method: 'deleteSlide' }), 'unknown_method');
+  assert.equal(code({ method: 'getCurrentSlide', params: [] }), 'invalid_params');
+  assert.equal(code({ method: 'getCurrentSlide', params: { tabId: '7' } }), 'invalid_params');
+  assert.equal(code({ method: 'buildUrl', params: { mode: 'DOWNLOAD' } }), 'invalid_params');
+  assert.equal(code({ method: 'buildUrl', params: { format: 'exe' } }), 'invalid_params');
+  assert.equal(code({ method: 'buildUrl', params: { slideId: 12 } }), 'invalid_params');
+  assert.equal(code({ method: 'unsubscribe' }), 'invalid_params');
+
+  assert.deepEqual({ ...api.parseRequest(request({ method: 'buildUrl' })).params }, { tabId: null, mode: 'EDIT', format: null, slideId: null });
+  assert.deepEqual({ ...api.parseRequest(request({ method: 'buildUrl', params: { tabId: 7, mode: 'PRESENT', format: 'pdf' } })).params },
+    { tabId: 7, mode: 'PRESENT', format: 'pdf', slideId: null });
+});
+
+test('isRequest leaves other postMessage traffic alone', async (t) => {
+  const page = await openEditor(t);
+  const api = page.window.eval('SlideUrlCopierApi');
+
+  assert.equal(api.isRequest({ api: 'slide-url-copier', type: 'request' }), true);
+  assert.equal(api.isRequest({ api: 'slide-url-copier', type: 'response' }), false);
+  assert.equal(api.isRequest({ api: 'other', type: 'request' }), false);
+  assert.equal(api.isRequest('slide-url-copier'), false);
+  assert.equal(api.isRequest(null), false);
+});
+
+test('page scripts on the allow-list get the current slide', async (t) => {
+  const page = await openEditor(t);
+
+  const response = await callApi(t, page, { method: 'getCurrentSlide' });
+  assert.equal(response.type, 'response');
+  assert.equal(response.id, 'request-1');
+  assert.equal(response.ok, true);
+  assert.deepEqual({ ...response.result }, {
+    presentationId: 'abc123',
+    isPublished: false,
+    presentationTitle: 'Q3 Roadmap',
+    viewType: 'editor',
+    slideId: 'p',
+    slideNumber: 1,
+    slideTitle: 'Q3 Roadmap'
+  });
+});
+
+test('requests from origins not on the allow-list get no reply', async (t) => {
+  const page = await openEditor(t);
+  const callers = ['https://evil.example', 'http://intranet.example.com', 'https://docs.google.com']
+    .map(origin => createCaller(t, origin));
+
+  for (const caller of callers) {
+    sendRequest(page, caller, { method: 'getCurrentSlide' });
+  }
+  await sleep(50);
+
+  assert.deepEqual(callers.map(caller => caller.received.length), [0, 0, 0]);
+});
+
+test('an empty allow-list answers nobody', async (t) => {
+  const page = openPage({ fixture: 'editor', url: EDITOR_URL });
+  t.after(() => page.close());
+  await sleep(20);
+  const caller = createCaller(t, ALLOWED_ORIGIN);
+
+  sendRequest(page, caller, { method: 'getCurrentSlide' });
+  await sleep(50);
+
+  assert.deepEqual(caller.received, []);
+});
+
+test('buildUrl builds links and reports invalid requests by error code', async (t) => {
+  const page = await openEditor(t);
+
+  const built = await callApi(t, page, { method: 'buildUrl', params: { mode: 'PRESENT', slideId: 'g2a5b3c4d5e_0_12' } });
+  assert.equal(built.result.url, 'https://docs.google.com/presentation/d/abc123/present#slide=id.g2a5b3c4d5e_0_12');
+
+  const cases = [
+    [{ version: 2, method: 'buildUrl' }, 'unsupported_version'],
+    [{ method: 'openSlide' }, 'unknown_method'],
+    [{ method: 'buildUrl', params: { slideId: 'p&rm=demo' } }, 'invalid_params']
+  ];
+  for (const [fields, code] of cases) {
+    const response = await callApi(t, page, fields);
+    assert.equal(response.ok, false);
+    assert.equal(response.error.code, code);
+  }
+});
+
+/**
+ * slideChanged events a caller received for a subscription
+ */
+function getSlideEvents(caller, subscriptionId) {
+  return caller.received.map(({ data }) => data).filter(data => data.type === 'event' && data.subscriptionId === subscriptionId);
+}
+
+/**
+ * Subscribe as a caller and wait for the event with the current slide
+ */
+async function subscribe(page, caller, id) {
+  sendRequest(page, caller, { id, method: 'subscribe' });
+  await waitFor(() => caller.received.some(({ data }) => data.id === id), { message: 'No subscribe response' });
+  const { subscriptionId } = caller.received.find(({ data }) => data.id === id).data.result;
+  await waitFor(() => getSlideEvents(caller, subscriptionId).length > 0, { message: 'No first slide event' });
+  return subscriptionId;
+}
+
+test('subscribers get an event on every slide change until they unsubscribe', async (t) => {
+  const page = await openEditor(t);
+  const caller = createCaller(t, ALLOWED_ORIGIN);
+
+  const subscriptionId = await subscribe(page, caller, 'subscribe-1');
+  page.window.location.hash = '#slide=id.g2a5b3c4d5e_0_12';
+  await waitFor(() => getSlideEvents(caller, subscriptionId).length === 2, { message: 'No slide change event' });
+  assert.equal(getSlideEvents(caller, subscriptionId)[1].data.slideId, 'g2a5b3c4d5e_0_12');
+
+  sendRequest(page, caller, { id: 'unsubscribe-1', method: 'unsubscribe', params: { subscriptionId } });
+  await waitFor(() => caller.received.some(({ data }) => data.id === 'unsubscribe-1'), { message: 'No unsubscribe response' });
+  page.window.location.hash = '#slide=id.p';
+  await sleep(100);
+  assert.equal(getSlideEvents(caller, subscriptionId).length, 2);
+});
+
+test('subscriptions of a closed window are dropped', async (t) => {
+  const page = await openEditor(t);
+  const caller = createCaller(t, ALLOWED_ORIGIN);
+  const openCaller = createCaller(t, ALLOWED_ORIGIN);
+  const subscriptionId = await subscribe(page, caller, 'subscribe-1');
+  const openSubscriptionId = await subscribe(page, openCaller, 'subscribe-2');
+
+  Object.defineProperty(caller.window, 'closed', { value: true });
+  page.window.location.hash = '#slide=id.g2a5b3c4d5e_0_12';
+  await waitFor(() => getSlideEvents(openCaller, openSubscriptionId).length === 2, { message: 'No slide change event' });
+  assert.equal(getSlideEvents(caller, subscriptionId).length, 1);
+
+  const response = await callApi(t, page, { method: 'unsubscribe', params: { subscriptionId } });
+  assert.equal(response.result.removed, false);
+});
+
+test('a window keeps only its newest subscriptions', async (t) => {
+  const page = await openEditor(t);
+  const caller = createCaller(t, ALLOWED_ORIGIN);
+  const otherCaller = createCaller(t, ALLOWED_ORIGIN);
+
+  const subscriptionIds = [];
+  for (let count = 0; count < 12; count++) {
+    subscriptionIds.push(await subscribe(page, caller, `subscribe-${count}`));
+  }
+  const otherSubscriptionId = await subscribe(page, otherCaller, 'subscribe-other');
+
+  page.window.location.hash = '#slide=id.g2a5b3c4d5e_0_12';
+  await waitFor(() => getSlideEvents(otherCaller, otherSubscriptionId).length === 2, { message: 'No slide change event' });
+  await sleep(50);
+  assert.deepEqual(subscriptionIds.map(subscriptionId => getSlideEvents(caller, subscriptionId).length),
+    [1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2]);
+});
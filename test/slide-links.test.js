@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./harness');
+
+const links = loadModule('slide-links.js', 'SlideUrlCopierLinks');
+
+test('getPresentationRef reads editor, account-prefixed and published paths', () => {
+  assert.deepEqual({ ...links.getPresentationRef('/presentation/d/1AbC_d-9/edit') }, { id: '1AbC_d-9', isPublished: false });
+  assert.deepEqual({ ...links.getPresentationRef('/presentation/u/1/d/1AbC_d-9/present') }, { id: '1AbC_d-9', isPublished: false });
+  assert.deepEqual({ ...links.getPresentationRef('/presentation/d/e/2PACX-1vQ/pub') }, { id: '2PACX-1vQ', isPublished: true });
+  assert.equal(links.getPresentationRef('/drivesharing/driveshare'), null);
+});
+
+test('detectViewType tells the Slides views apart', () => {
+  assert.equal(links.detectViewType('/presentation/d/abc/edit'), 'editor');
+  assert.equal(links.detectViewType('/presentation/d/abc/present'), 'present');
+  assert.equal(links.detectViewType('/presentation/d/abc/mobilepresent'), 'present');
+  assert.equal(links.detectViewType('/presentation/d/abc/preview'), 'preview');
+  assert.equal(links.detectViewType('/presentation/d/e/2PACX-1vQ/pubembed'), 'embed');
+  assert.equal(links.detectViewType('/presentation/d/e/2PACX-1vQ/pub'), 'published');
+  assert.equal(links.detectViewType('/drivesharing/driveshare'), 'other');
+});
+
+test('parseSlideHash reads object IDs and positions', () => {
+  assert.deepEqual({ ...links.parseSlideHash('#slide=id.g2a5b3c4d5e_0_12') }, { slideId: 'g2a5b3c4d5e_0_12' });
+  assert.deepEqual({ ...links.parseSlideHash('#foo=1&slide=id.p') }, { slideId: 'p' });
+  assert.deepEqual({ ...links.parseSlideHash('#slide=7') }, { position: 7 });
+  assert.equal(links.parseSlideHash('#slide=7x'), null);
+  assert.equal(links.parseSlideHash(''), null);
+});
+
+test('parseSlideHash decodes escaped IDs and returns null for malformed escapes', () => {
+  assert.deepEqual({ ...links.parseSlideHash('#slide=id.g1%5F0%5F5') }, { slideId: 'g1_0_5' });
+  assert.equal(links.parseSlideHash('#slide=id.%E0'), null);
+  assert.equal(links.parseSlideHash('#slide=id.p%'), null);
+});
+
+test('isValidSlideObjectId rejects anything that could escape the URL', () => {
+  assert.equal(links.isValidSlideObjectId('p'), true);
+  assert.equal(links.isValidSlideObjectId('g2a5b3c4d5e_0_12'), true);
+  assert.equal(links.isValidSlideObjectId('SLIDES_API123:abc-1'), true);
+  assert.equal(links.isValidSlideObjectId(''), false);
+  assert.equal(links.isValidSlideObjectId('p&rm=demo'), false);
+  assert.equal(links.isValidSlideObjectId('<img>'), false);
+  assert.equal(links.isValidSlideObjectId(null), false);
+});
+
+test('formatSlideUrl builds links for each mode', () => {
+  const presentation = { id: 'abc123', isPublished: false };
+  const url = mode => links.formatSlideUrl({ presentation, slideId: 'g1_0_5', mode });
+
+  assert.equal(url('EDIT'), 'https://docs.google.com/presentation/d/abc123/edit#slide=id.g1_0_5');
+  assert.equal(url('DEMO'), 'https://docs.google.com/presentation/d/abc123/edit?rm=demo#slide=id.g1_0_5');
+  assert.equal(url('PRESENT'), 'https://docs.google.com/presentation/d/abc123/present#slide=id.g1_0_5');
+  assert.equal(url('MOBILE'), 'https://docs.google.com/presentation/d/abc123/mobilepresent#slide=id.g1_0_5');
+  assert.equal(url('EMBED'), 'https://docs.google.com/presentation/d/abc123/embed#slide=id.g1_0_5');
+});
+
+test('formatSlideUrl adds non-empty params and builds export and published URLs', () => {
+  assert.equal(
+    links.formatSlideUrl({
+      presentation: { id: 'abc123', isPublished: false },
+      slideId: 'p',
+      mode: 'PRESENT',
+      params: { start: true, loop: null, delayms: '' }
+    }),
+    'https://docs.google.com/presentation/d/abc123/present?start=true#slide=id.p'
+  );
+  assert.equal(
+    links.formatSlideUrl({ presentation: { id: 'abc123', isPublished: false }, slideId: 'p', exportFormat: 'pdf' }),
+    'https://docs.google.com/presentation/d/abc123/export?format=pdf&slide=p'
+  );
+  assert.equal(
+    links.formatSlideUrl({ presentation: { id: '2PACX-1vQ', isPublished: true }, slideId: 'p', mode: 'PUBLISHED' }),
+    'https://docs.google.com/presentation/d/e/2PACX-1vQ/pub#slide=id.p'
+  );
+});